@@ -0,0 +1,136 @@
+class BillOfMaterials {
+    // Collects the module.json details of every module into part lines, per board
+    // and for the whole system. Modules with the same manufacturer and part number
+    // share a line, modules without a part number get a line of their own.
+    static get CSV_COLUMNS() {
+        return ['Board', 'Part number', 'Manufacturer', 'Package', 'Quantity', 'Unit cost', 'Total cost', 'Modules', 'Datasheet', 'Notes'];
+    }
+
+    // modules: Map of path -> module with .metadata (parsed module.json or null)
+    // getBoard: module -> path of the board it sits on, or null
+    // Returns { boards: [{ path, name, lines, totals }], system: { lines, totals } }
+    static create(modules, getBoard) {
+        const boardEntries = new Map(); // board path ('' for none) -> entries
+        const entries = [];
+
+        Array.from(modules.values())
+            .filter(module => module.metadata && typeof module.metadata === 'object' && !Array.isArray(module.metadata))
+            .sort((a, b) => a.path.localeCompare(b.path))
+            .forEach(module => {
+                const boardPath = getBoard(module) || '';
+                const entry = { module, boardPath, metadata: module.metadata };
+                entries.push(entry);
+
+                if (!boardEntries.has(boardPath)) {
+                    boardEntries.set(boardPath, []);
+                }
+                boardEntries.get(boardPath).push(entry);
+            });
+
+        const boards = Array.from(boardEntries.keys()).sort((a, b) => {
+            // Parts that are on no board come last
+            if (!a || !b) return a ? -1 : 1;
+            return a.localeCompare(b);
+        }).map(boardPath => {
+            const lines = this.createLines(boardEntries.get(boardPath), modules);
+            return {
+                path: boardPath,
+                name: boardPath ? modules.get(boardPath).name : 'Off-board',
+                lines,
+                totals: this.getTotals(lines)
+            };
+        });
+
+        const lines = this.createLines(entries, modules);
+        return { boards, system: { lines, totals: this.getTotals(lines) } };
+    }
+
+    static createLines(entries, modules) {
+        const lines = new Map();
+
+        entries.forEach(entry => {
+            const data = entry.metadata;
+            const partNumber = typeof data.partNumber === 'string' ? data.partNumber.trim() : '';
+            const manufacturer = typeof data.manufacturer === 'string' ? data.manufacturer.trim() : '';
+            const key = partNumber ? `${manufacturer}\n${partNumber}` : `module:${entry.module.path}`;
+
+            if (!lines.has(key)) {
+                lines.set(key, {
+                    partNumber,
+                    manufacturer,
+                    package: typeof data.package === 'string' ? data.package : '',
+                    datasheet: ModuleMetadata.isWebLink(data.datasheet) ? data.datasheet : '',
+                    notes: [],
+                    name: entry.module.name,
+                    quantity: 0,
+                    unitCosts: new Set(),
+                    totalCost: 0,
+                    uncosted: 0,
+                    modules: [],
+                    boards: []
+                });
+            }
+
+            const line = lines.get(key);
+            const quantity = ModuleMetadata.getQuantity(data);
+            const cost = ModuleMetadata.getCost(data);
+
+            line.quantity += quantity;
+            line.modules.push(entry.module.path);
+            if (cost === null) {
+                line.uncosted += quantity;
+            } else {
+                line.unitCosts.add(cost);
+                line.totalCost += cost * quantity;
+            }
+            if (typeof data.notes === 'string' && data.notes && !line.notes.includes(data.notes)) {
+                line.notes.push(data.notes);
+            }
+
+            const boardName = entry.boardPath ? modules.get(entry.boardPath).name : '';
+            if (boardName && !line.boards.includes(boardName)) {
+                line.boards.push(boardName);
+            }
+        });
+
+        return Array.from(lines.values()).map(({ unitCosts, ...line }) => ({
+            ...line,
+            // Only a single price can be shown per unit
+            unitCost: unitCosts.size === 1 ? Array.from(unitCosts)[0] : null
+        })).sort((a, b) =>
+            (a.partNumber || a.name).localeCompare(b.partNumber || b.name)
+        );
+    }
+
+    // uncosted counts the parts whose module.json has no cost
+    static getTotals(lines) {
+        return {
+            lines: lines.length,
+            quantity: lines.reduce((sum, line) => sum + line.quantity, 0),
+            cost: lines.reduce((sum, line) => sum + line.totalCost, 0),
+            uncosted: lines.reduce((sum, line) => sum + line.uncosted, 0)
+        };
+    }
+
+    // CSV EXPORT
+    static toCsv(lines) {
+        const rows = [this.CSV_COLUMNS];
+
+        lines.forEach(line => {
+            rows.push([
+                line.boards.join('; '),
+                line.partNumber,
+                line.manufacturer,
+                line.package,
+                String(line.quantity),
+                ModuleMetadata.formatCost(line.unitCost),
+                line.uncosted === line.quantity ? '' : ModuleMetadata.formatCost(line.totalCost),
+                line.modules.join('; '),
+                line.datasheet,
+                line.notes.join('; ')
+            ]);
+        });
+
+        return CsvWriter.stringify(rows);
+    }
+}
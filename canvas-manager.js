@@ -14,6 +14,9 @@ class CanvasManager {
         
         // Performance optimization
         this.transformCache = '';
+        
+        // Called whenever pan or zoom changes the camera
+        this.onCameraChange = null;
     }
 
     initCanvas() {
@@ -204,6 +207,10 @@ class CanvasManager {
         if (this.transformCache !== transform) {
             this.transformCache = transform;
             this.canvasContent.style.transform = transform;
+            
+            if (this.onCameraChange) {
+                this.onCameraChange(this.getCameraState());
+            }
         }
     }
 
@@ -240,6 +247,17 @@ class CanvasManager {
         this.updateTransform();
     }
 
+    centerOn(worldX, worldY, zoom = this.camera.zoom) {
+        // Move the camera so the given world point sits in the middle of the container
+        const containerRect = this.container.getBoundingClientRect();
+        
+        this.setCameraState(
+            containerRect.width / 2 - worldX * zoom,
+            containerRect.height / 2 - worldY * zoom,
+            zoom
+        );
+    }
+
     resetView() {
         // Reset to initial camera position
         const containerRect = this.container.getBoundingClientRect();
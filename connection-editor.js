@@ -0,0 +1,325 @@
+class ConnectionEditor {
+    constructor(viewer) {
+        this.viewer = viewer;
+        this.editing = null; // { modulePath, index } - index is null when adding
+        this.draft = null; // Form values, kept so re-renders don't lose input
+        this.isPickingTarget = false;
+        this.dirtyPaths = new Set(); // Directories whose connections.json changed
+        this.formEl = null;
+    }
+
+    reset() {
+        this.editing = null;
+        this.draft = null;
+        this.isPickingTarget = false;
+        this.dirtyPaths.clear();
+        this.formEl = null;
+        this.updatePickingCursor();
+    }
+
+    isActive() {
+        return this.editing !== null;
+    }
+
+    hasUnsavedChanges() {
+        return this.dirtyPaths.size > 0;
+    }
+
+    // DETAILS PANEL
+    decorate(panel, module) {
+        // Edit/delete actions on every listed connection
+        panel.querySelectorAll('.connection-item[data-connection-index]').forEach(item => {
+            const index = Number(item.dataset.connectionIndex);
+
+            const actions = document.createElement('div');
+            actions.className = 'connection-actions';
+            actions.appendChild(this.createButton('Edit', () => this.startEdit(module, index)));
+            actions.appendChild(this.createButton('Delete', () => this.deleteConnection(module, index)));
+            item.appendChild(actions);
+        });
+
+        if (this.editing && this.editing.modulePath === module.path) {
+            panel.appendChild(this.renderForm(module));
+        } else {
+            panel.appendChild(this.createButton('+ Add Connection', () => this.startAdd(module), 'editor-add-button'));
+        }
+
+        if (this.hasUnsavedChanges()) {
+            panel.appendChild(this.renderSaveBar());
+        }
+    }
+
+    renderForm(module) {
+        const form = document.createElement('form');
+        form.className = 'connection-form';
+
+        const heading = document.createElement('h4');
+        heading.textContent = this.editing.index === null ? 'New Connection' : `Edit Connection #${this.editing.index}`;
+        form.appendChild(heading);
+
+        // Target with canvas picking
+        const targetRow = this.createField(form, 'target', 'Target');
+        const pickButton = this.createButton(
+            this.isPickingTarget ? 'Click a module...' : 'Pick',
+            () => this.togglePickTarget(),
+            'pick-button'
+        );
+        targetRow.appendChild(pickButton);
+
+        const typeInput = this.createField(form, 'type', 'Type').querySelector('input');
+        typeInput.setAttribute('list', 'connectionTypeOptions');
+        form.appendChild(this.createTypeOptions());
+
+        this.createField(form, 'interface', 'Interface');
+        this.createField(form, 'signals', 'Signals (comma separated)');
+        this.createField(form, 'description', 'Description');
+
+        const errors = document.createElement('div');
+        errors.className = 'form-errors';
+        form.appendChild(errors);
+
+        const buttons = document.createElement('div');
+        buttons.className = 'form-buttons';
+        const submit = this.createButton(this.editing.index === null ? 'Add' : 'Apply', null);
+        submit.type = 'submit';
+        buttons.appendChild(submit);
+        buttons.appendChild(this.createButton('Cancel', () => this.cancel()));
+        form.appendChild(buttons);
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submit(module);
+        });
+
+        this.formEl = form;
+        return form;
+    }
+
+    createField(form, name, label) {
+        const row = document.createElement('label');
+        row.className = 'form-row';
+
+        const caption = document.createElement('span');
+        caption.textContent = label;
+        row.appendChild(caption);
+
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.name = name;
+        input.value = this.draft[name] || '';
+        input.addEventListener('input', () => {
+            this.draft[name] = input.value;
+        });
+        row.appendChild(input);
+
+        form.appendChild(row);
+        return row;
+    }
+
+    createTypeOptions() {
+        const datalist = document.createElement('datalist');
+        datalist.id = 'connectionTypeOptions';
+
+        this.viewer.getKnownConnectionTypes().forEach(type => {
+            const option = document.createElement('option');
+            option.value = type;
+            datalist.appendChild(option);
+        });
+
+        return datalist;
+    }
+
+    renderSaveBar() {
+        const bar = document.createElement('div');
+        bar.className = 'editor-save-bar';
+
+        const label = document.createElement('span');
+        label.textContent = `${this.dirtyPaths.size} unsaved file(s)`;
+        bar.appendChild(label);
+
+        const target = this.viewer.directoryHandles.size > 0 ? 'Save' : 'Download .zip';
+        bar.appendChild(this.createButton(target, () => this.saveChanges()));
+
+        return bar;
+    }
+
+    createButton(label, onClick, className = '') {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = `editor-button ${className}`.trim();
+        button.textContent = label;
+        if (onClick) {
+            button.addEventListener('click', onClick);
+        }
+        return button;
+    }
+
+    // EDITING
+    startAdd(module) {
+        this.editing = { modulePath: module.path, index: null };
+        this.draft = { target: '', type: '', interface: '', signals: '', description: '' };
+        this.viewer.updateDetailsPanel();
+    }
+
+    startEdit(module, index) {
+        const conn = module.connections.connections[index];
+
+        this.editing = { modulePath: module.path, index: index };
+        this.draft = {
+            target: conn.target || '',
+            type: conn.type || '',
+            interface: conn.interface || '',
+            signals: Array.isArray(conn.signals) ? conn.signals.join(', ') : (conn.signals || ''),
+            description: conn.description || ''
+        };
+        this.viewer.updateDetailsPanel();
+    }
+
+    cancel() {
+        this.editing = null;
+        this.draft = null;
+        this.isPickingTarget = false;
+        this.updatePickingCursor();
+        this.viewer.updateDetailsPanel();
+    }
+
+    submit(module) {
+        const fields = {
+            target: this.draft.target.trim(),
+            type: this.draft.type.trim(),
+            interface: this.draft.interface.trim(),
+            signals: this.draft.signals.split(',').map(signal => signal.trim()).filter(signal => signal),
+            description: this.draft.description.trim()
+        };
+
+        const errors = ConnectionSchema.validateConnection(fields)
+            .filter(problem => problem.severity === 'error')
+            .map(problem => problem.message);
+
+        const resolvedPath = PathResolver.resolve(module.path, fields.target, PathResolver.getRoot(module.path));
+        if (fields.target && (!resolvedPath || !this.viewer.allModules.has(resolvedPath))) {
+            errors.push(`Target "${fields.target}" does not resolve to an existing module`);
+        }
+
+        if (errors.length > 0) {
+            this.formEl.querySelector('.form-errors').textContent = errors.join('. ');
+            return;
+        }
+
+        const data = this.getConnectionData(module);
+
+        if (this.editing.index === null) {
+            data.connections.push(fields);
+        } else {
+            // Keep fields the form doesn't know about
+            const original = data.connections[this.editing.index];
+            data.connections[this.editing.index] = Object.assign({}, original, fields);
+        }
+
+        this.editing = null;
+        this.draft = null;
+        this.isPickingTarget = false;
+        this.updatePickingCursor();
+        this.markDirty(module);
+    }
+
+    deleteConnection(module, index) {
+        const conn = module.connections.connections[index];
+        if (!confirm(`Delete connection to "${conn.target}"?`)) return;
+
+        module.connections.connections.splice(index, 1);
+
+        // Indexes shift after a delete, drop any open form
+        this.editing = null;
+        this.draft = null;
+        this.markDirty(module);
+    }
+
+    getConnectionData(module) {
+        if (!module.connections || !Array.isArray(module.connections.connections)) {
+            module.connections = { connections: [] };
+            this.viewer.connections.set(module.path, module.connections);
+        }
+        return module.connections;
+    }
+
+    markDirty(module) {
+        this.dirtyPaths.add(module.path);
+        this.viewer.refreshConnections();
+        this.viewer.selectModule(module);
+    }
+
+    // TARGET PICKING
+    togglePickTarget() {
+        this.isPickingTarget = !this.isPickingTarget;
+        this.updatePickingCursor();
+
+        const pickButton = this.formEl && this.formEl.querySelector('.pick-button');
+        if (pickButton) {
+            pickButton.textContent = this.isPickingTarget ? 'Click a module...' : 'Pick';
+        }
+    }
+
+    pickTarget(module) {
+        const sourcePath = this.editing.modulePath;
+        this.draft.target = PathResolver.relative(sourcePath, module.path);
+
+        this.isPickingTarget = false;
+        this.updatePickingCursor();
+
+        if (this.formEl) {
+            this.formEl.elements.target.value = this.draft.target;
+            this.formEl.querySelector('.pick-button').textContent = 'Pick';
+        }
+    }
+
+    updatePickingCursor() {
+        const container = document.getElementById('diagramContainer');
+        container.classList.toggle('picking-target', this.isPickingTarget);
+    }
+
+    // WRITE BACK
+    async saveChanges() {
+        const files = Array.from(this.dirtyPaths).sort().map(dirPath => ({
+            dirPath: dirPath,
+            path: `${dirPath}/connections.json`,
+            content: ConnectionSchema.serialize(this.viewer.connections.get(dirPath))
+        }));
+
+        if (this.viewer.directoryHandles.size > 0) {
+            try {
+                for (let file of files) {
+                    await this.writeFile(file.dirPath, file.content);
+                }
+            } catch (error) {
+                alert('Failed to write connections.json: ' + error.message);
+                return;
+            }
+        } else {
+            const zip = new ZipWriter();
+            files.forEach(file => zip.addFile(file.path, file.content));
+            FileSaver.download(zip.generate(), `${this.viewer.projectName}-connections.zip`);
+        }
+
+        // Keep the loaded file map in sync with what was written
+        files.forEach(file => {
+            this.viewer.fileSystem.set(file.path, new File([file.content], 'connections.json'));
+        });
+
+        this.dirtyPaths.clear();
+        this.viewer.updateDetailsPanel();
+        this.viewer.renderProblemsPanel();
+    }
+
+    async writeFile(dirPath, content) {
+        const dirHandle = this.viewer.directoryHandles.get(dirPath);
+        if (!dirHandle) {
+            throw new Error(`No directory handle for ${dirPath}`);
+        }
+
+        const fileHandle = await dirHandle.getFileHandle('connections.json', { create: true });
+        const writable = await fileHandle.createWritable();
+        await writable.write(content);
+        await writable.close();
+    }
+}
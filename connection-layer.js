@@ -0,0 +1,209 @@
+class ConnectionLayer {
+    // SVG overlay inside the canvas content that draws routed connections.
+    // Lives in world coordinates, so pan and zoom come from the canvas transform.
+    constructor() {
+        this.svg = null;
+        this.pathGroup = null;
+        this.labelGroup = null;
+    }
+
+    static get SVG_NS() {
+        return 'http://www.w3.org/2000/svg';
+    }
+
+    // Styling per connection category, first match wins
+    static get CATEGORIES() {
+        return [
+            { name: 'power', label: 'Power', color: '#ff7043', dash: '', pattern: /_power$/i },
+            { name: 'communication', label: 'Communication', color: '#4fc3f7', dash: '10 5', pattern: /communication$/i },
+            { name: 'sensor_bus', label: 'Sensor bus', color: '#66bb6a', dash: '4 4', pattern: /^(sensor_|analog_signal|capacitive_touch)/i },
+            { name: 'digital_io', label: 'Digital I/O', color: '#ba68c8', dash: '12 4 2 4', pattern: /^(digital_io|system_bus)$/i },
+            { name: 'other', label: 'Other', color: '#9e9e9e', dash: '2 4', pattern: /.*/ }
+        ];
+    }
+
+    static getCategory(type) {
+        return this.CATEGORIES.find(category => category.pattern.test(type || ''));
+    }
+
+    // A pair carrying several types takes the style of the highest ranked one
+    static getPairCategory(connections) {
+        const names = new Set(connections.map(conn => this.getCategory(conn.type).name));
+        return this.CATEGORIES.find(category => names.has(category.name));
+    }
+
+    // Interfaces on the pair, shortened when there are many
+    static getLabel(connections) {
+        const interfaces = Array.from(new Set(connections.map(conn => conn.interface || conn.type || 'Unknown')));
+        if (interfaces.length <= 2) {
+            return interfaces.join(', ');
+        }
+        return `${interfaces.slice(0, 2).join(', ')} +${interfaces.length - 2}`;
+    }
+
+    // The canvas is cleared with innerHTML, so re-create the SVG when it was dropped
+    attach(canvasContent) {
+        if (this.svg && this.svg.parentNode === canvasContent) return;
+
+        this.svg = this.createElement('svg', { class: 'connection-layer' });
+        this.pathGroup = this.createElement('g', { class: 'connection-paths' });
+        this.labelGroup = this.createElement('g', { class: 'connection-labels' });
+        this.svg.appendChild(this.pathGroup);
+        this.svg.appendChild(this.labelGroup);
+        canvasContent.appendChild(this.svg);
+    }
+
+    // Draw into groups of another SVG instead of the canvas overlay (diagram export)
+    drawInto(pathGroup, labelGroup) {
+        this.svg = null;
+        this.pathGroup = pathGroup;
+        this.labelGroup = labelGroup;
+    }
+
+    clear() {
+        if (!this.pathGroup) return;
+        this.pathGroup.textContent = '';
+        this.labelGroup.textContent = '';
+    }
+
+    // link: { points, connections, key, className, label }, label defaults to the interfaces
+    // Returns the group element so callers can attach listeners
+    drawLink(link) {
+        const category = ConnectionLayer.getPairCategory(link.connections);
+        const thickness = Math.min(8, Math.max(2, link.connections.length * 2));
+        const d = link.points.map((point, i) => `${i === 0 ? 'M' : 'L'} ${point.x} ${point.y}`).join(' ');
+
+        const group = this.createElement('g', {
+            class: `connection-link ${category.name}${link.className ? ' ' + link.className : ''}`,
+            'data-link-key': link.key
+        });
+
+        // Wide transparent stroke makes thin lines easy to click
+        group.appendChild(this.createElement('path', {
+            class: 'connection-hit',
+            d: d,
+            fill: 'none',
+            stroke: 'transparent',
+            'stroke-width': Math.max(12, thickness + 8)
+        }));
+
+        const trimmed = this.trimEnd(link.points, thickness + 8);
+        group.appendChild(this.createElement('path', {
+            class: 'connection-path',
+            d: trimmed.map((point, i) => `${i === 0 ? 'M' : 'L'} ${point.x} ${point.y}`).join(' '),
+            fill: 'none',
+            stroke: category.color,
+            'stroke-width': thickness,
+            'stroke-dasharray': category.dash,
+            'stroke-linejoin': 'round'
+        }));
+
+        group.appendChild(this.createElement('polygon', {
+            class: 'connection-arrowhead',
+            points: this.getArrowHead(link.points, thickness).map(point => `${point.x},${point.y}`).join(' '),
+            fill: category.color
+        }));
+
+        const title = this.createElement('title');
+        title.textContent = `${link.connections.length} connection(s):\n` + link.connections.map(conn =>
+            `${conn.interface || 'Unknown'}: ${conn.description || 'No description'}`
+        ).join('\n');
+        group.appendChild(title);
+
+        this.pathGroup.appendChild(group);
+        this.drawLabel(link, category);
+
+        return group;
+    }
+
+    // Label sits on the middle of the longest segment
+    drawLabel(link, category) {
+        let best = null;
+        for (let i = 0; i < link.points.length - 1; i++) {
+            const a = link.points[i];
+            const b = link.points[i + 1];
+            const length = Math.abs(b.x - a.x) + Math.abs(b.y - a.y);
+            if (!best || length > best.length) {
+                best = { length, x: (a.x + b.x) / 2, y: (a.y + b.y) / 2, vertical: a.x === b.x };
+            }
+        }
+        if (!best) return;
+
+        const label = this.createElement('text', {
+            class: `connection-label ${category.name}${link.className ? ' ' + link.className : ''}`,
+            x: best.vertical ? best.x + 6 : best.x,
+            y: best.vertical ? best.y : best.y - 6,
+            'text-anchor': best.vertical ? 'start' : 'middle',
+            fill: category.color
+        });
+        label.textContent = link.label || ConnectionLayer.getLabel(link.connections);
+        this.labelGroup.appendChild(label);
+    }
+
+    // Stop the stroke where the arrow head starts so the tip stays sharp
+    trimEnd(points, amount) {
+        const result = points.map(point => ({ x: point.x, y: point.y }));
+        const last = result[result.length - 1];
+        const before = result[result.length - 2];
+        const length = Math.abs(last.x - before.x) + Math.abs(last.y - before.y);
+        const cut = Math.min(amount, length);
+
+        last.x -= Math.sign(last.x - before.x) * cut;
+        last.y -= Math.sign(last.y - before.y) * cut;
+        return result;
+    }
+
+    getArrowHead(points, thickness) {
+        const tip = points[points.length - 1];
+        const before = points[points.length - 2];
+        const length = thickness + 8;
+        const halfWidth = thickness + 3;
+
+        const distance = Math.max(1, Math.abs(tip.x - before.x) + Math.abs(tip.y - before.y));
+        const ux = (tip.x - before.x) / distance;
+        const uy = (tip.y - before.y) / distance;
+        const baseX = tip.x - ux * length;
+        const baseY = tip.y - uy * length;
+
+        return [
+            { x: tip.x, y: tip.y },
+            { x: baseX - uy * halfWidth, y: baseY + ux * halfWidth },
+            { x: baseX + uy * halfWidth, y: baseY - ux * halfWidth }
+        ];
+    }
+
+    // LEGEND
+    // Only lists the categories currently on screen
+    renderLegend(container, categoryNames) {
+        let legend = container.querySelector('.connection-legend');
+        if (!legend) {
+            legend = document.createElement('div');
+            legend.className = 'connection-legend';
+            container.appendChild(legend);
+        }
+
+        const categories = ConnectionLayer.CATEGORIES.filter(category => categoryNames.has(category.name));
+        legend.style.display = categories.length > 0 ? 'block' : 'none';
+        legend.innerHTML = categories.map(category => `
+            <div class="legend-item">
+                <svg width="36" height="10"><line x1="0" y1="5" x2="36" y2="5" stroke="${category.color}" stroke-width="3" stroke-dasharray="${category.dash}"/></svg>
+                <span>${category.label}</span>
+            </div>
+        `).join('');
+    }
+
+    hideLegend(container) {
+        const legend = container.querySelector('.connection-legend');
+        if (legend) {
+            legend.style.display = 'none';
+        }
+    }
+
+    createElement(tag, attributes = {}) {
+        const element = document.createElementNS(ConnectionLayer.SVG_NS, tag);
+        Object.keys(attributes).forEach(name => {
+            element.setAttribute(name, attributes[name]);
+        });
+        return element;
+    }
+}
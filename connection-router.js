@@ -0,0 +1,385 @@
+class ConnectionRouter {
+    // Orthogonal (Manhattan) router. Each link leaves its source box through a port
+    // on the side facing the target, then follows a sparse grid built from the
+    // obstacle edges, searched with A* and a penalty per bend.
+    constructor(options = {}) {
+        this.margin = options.margin || 15;
+        this.bendPenalty = options.bendPenalty || 40;
+        this.laneSpacing = options.laneSpacing || 8;
+        this.cache = new Map(); // link key -> { ports, points }
+    }
+
+    clearCache() {
+        this.cache.clear();
+    }
+
+    // links: [{ key, fromId, toId, from: rect, to: rect, obstacles: [rect] }]
+    // rect: { x, y, width, height }
+    // Returns Map of link key -> [{ x, y }, ...] from source port to target port.
+    routeAll(links) {
+        const ports = this.assignPorts(links);
+        const routes = new Map();
+        const activeKeys = new Set();
+
+        links.forEach(link => {
+            const linkPorts = ports.get(link.key);
+            const cached = this.cache.get(link.key);
+            activeKeys.add(link.key);
+
+            // Reuse the previous route while its ports are unchanged and nothing moved onto it
+            if (cached && this.samePorts(cached.ports, linkPorts) && !this.isBlocked(cached.points, link.obstacles)) {
+                routes.set(link.key, cached.points);
+                return;
+            }
+
+            const points = this.route(linkPorts.start, linkPorts.end, link.obstacles);
+            this.cache.set(link.key, { ports: linkPorts, points: points });
+            routes.set(link.key, points);
+        });
+
+        Array.from(this.cache.keys()).forEach(key => {
+            if (!activeKeys.has(key)) this.cache.delete(key);
+        });
+
+        return this.separateLanes(routes);
+    }
+
+    // PORTS
+    chooseSides(from, to) {
+        const dx = (to.x + to.width / 2) - (from.x + from.width / 2);
+        const dy = (to.y + to.height / 2) - (from.y + from.height / 2);
+
+        if (Math.abs(dx) > Math.abs(dy)) {
+            return dx > 0 ? ['right', 'left'] : ['left', 'right'];
+        }
+        return dy > 0 ? ['bottom', 'top'] : ['top', 'bottom'];
+    }
+
+    // Spread every link that uses the same side of a box over that side,
+    // ordered by where the other end is so neighbouring links don't cross
+    assignPorts(links) {
+        const groups = new Map();
+        const addToGroup = (boxId, rect, side, link, end, otherRect) => {
+            const groupKey = `${boxId}:${side}`;
+            if (!groups.has(groupKey)) groups.set(groupKey, { rect, side, members: [] });
+            groups.get(groupKey).members.push({ link, end, otherRect });
+        };
+
+        links.forEach(link => {
+            const [fromSide, toSide] = this.chooseSides(link.from, link.to);
+            addToGroup(link.fromId, link.from, fromSide, link, 'start', link.to);
+            addToGroup(link.toId, link.to, toSide, link, 'end', link.from);
+        });
+
+        const ports = new Map(links.map(link => [link.key, {}]));
+
+        groups.forEach(group => {
+            const horizontalSide = group.side === 'top' || group.side === 'bottom';
+            const centerOf = (rect) => horizontalSide ? rect.x + rect.width / 2 : rect.y + rect.height / 2;
+
+            group.members.sort((a, b) => centerOf(a.otherRect) - centerOf(b.otherRect) || a.link.key.localeCompare(b.link.key));
+
+            group.members.forEach((member, index) => {
+                const fraction = (index + 1) / (group.members.length + 1);
+                ports.get(member.link.key)[member.end] = this.getPortPoint(group.rect, group.side, fraction);
+            });
+        });
+
+        return ports;
+    }
+
+    // Ports sit on whole pixels so segments line up exactly
+    getPortPoint(rect, side, fraction) {
+        const alongX = Math.round(rect.x + rect.width * fraction);
+        const alongY = Math.round(rect.y + rect.height * fraction);
+
+        switch (side) {
+            case 'left': return { x: rect.x, y: alongY, side };
+            case 'right': return { x: rect.x + rect.width, y: alongY, side };
+            case 'top': return { x: alongX, y: rect.y, side };
+            default: return { x: alongX, y: rect.y + rect.height, side };
+        }
+    }
+
+    samePorts(a, b) {
+        return a.start.x === b.start.x && a.start.y === b.start.y && a.start.side === b.start.side &&
+            a.end.x === b.end.x && a.end.y === b.end.y && a.end.side === b.end.side;
+    }
+
+    static get NORMALS() {
+        return {
+            left: { x: -1, y: 0 },
+            right: { x: 1, y: 0 },
+            top: { x: 0, y: -1 },
+            bottom: { x: 0, y: 1 }
+        };
+    }
+
+    // ROUTING
+    route(start, end, obstacles) {
+        const normals = ConnectionRouter.NORMALS;
+        const startStub = { x: start.x + normals[start.side].x * this.margin, y: start.y + normals[start.side].y * this.margin };
+        const endStub = { x: end.x + normals[end.side].x * this.margin, y: end.y + normals[end.side].y * this.margin };
+
+        // Keep a little clearance around boxes; boxes swallowing a stub can't be avoided anyway
+        const clearance = this.margin - 1;
+        const blocks = obstacles
+            .map(rect => ({
+                left: rect.x - clearance,
+                right: rect.x + rect.width + clearance,
+                top: rect.y - clearance,
+                bottom: rect.y + rect.height + clearance
+            }))
+            .filter(block => !this.containsPoint(block, startStub) && !this.containsPoint(block, endStub));
+
+        const path = this.search(startStub, endStub, start.side, end.side, blocks) ||
+            this.fallbackPath(startStub, endStub, start.side);
+
+        return this.simplify([{ x: start.x, y: start.y }, ...path, { x: end.x, y: end.y }]);
+    }
+
+    search(startStub, endStub, startSide, endSide, blocks) {
+        const unique = (values) => Array.from(new Set(values)).sort((a, b) => a - b);
+
+        const xs = unique([
+            startStub.x, endStub.x, (startStub.x + endStub.x) / 2,
+            ...blocks.flatMap(block => [block.left - 1, block.right + 1])
+        ]);
+        const ys = unique([
+            startStub.y, endStub.y, (startStub.y + endStub.y) / 2,
+            ...blocks.flatMap(block => [block.top - 1, block.bottom + 1])
+        ]);
+
+        const startIndex = { ix: xs.indexOf(startStub.x), iy: ys.indexOf(startStub.y) };
+        const endIndex = { ix: xs.indexOf(endStub.x), iy: ys.indexOf(endStub.y) };
+
+        const nodeBlocked = (ix, iy) => blocks.some(block => this.containsPoint(block, { x: xs[ix], y: ys[iy] }));
+        const segmentBlocked = (x1, y1, x2, y2) => blocks.some(block => this.segmentHitsBlock(block, x1, y1, x2, y2));
+
+        // Directions: 0 right, 1 down, 2 left, 3 up
+        const steps = [[1, 0], [0, 1], [-1, 0], [0, -1]];
+        const directionOf = { right: 0, bottom: 1, left: 2, top: 3 };
+        const startDirection = directionOf[startSide];
+        const arrivalDirection = (directionOf[endSide] + 2) % 4; // Heading into the target box
+
+        const ny = ys.length;
+        const stateId = (ix, iy, direction) => ((ix * ny) + iy) * 4 + direction;
+        const heuristic = (ix, iy) => Math.abs(xs[ix] - endStub.x) + Math.abs(ys[iy] - endStub.y);
+
+        const best = new Map();
+        const previous = new Map();
+        const heap = new MinHeap();
+
+        const startState = stateId(startIndex.ix, startIndex.iy, startDirection);
+        best.set(startState, 0);
+        heap.push({ priority: heuristic(startIndex.ix, startIndex.iy), cost: 0, ix: startIndex.ix, iy: startIndex.iy, direction: startDirection, id: startState });
+
+        while (heap.size() > 0) {
+            const current = heap.pop();
+            if (current.cost > best.get(current.id)) continue;
+
+            if (current.ix === endIndex.ix && current.iy === endIndex.iy) {
+                return this.reconstruct(previous, current.id, xs, ys, ny);
+            }
+
+            steps.forEach(([sx, sy], direction) => {
+                // No reversing on the spot
+                if (direction === (current.direction + 2) % 4) return;
+
+                const nx = current.ix + sx;
+                const nyIndex = current.iy + sy;
+                if (nx < 0 || nx >= xs.length || nyIndex < 0 || nyIndex >= ny) return;
+                if (nodeBlocked(nx, nyIndex)) return;
+                if (segmentBlocked(xs[current.ix], ys[current.iy], xs[nx], ys[nyIndex])) return;
+
+                const length = Math.abs(xs[nx] - xs[current.ix]) + Math.abs(ys[nyIndex] - ys[current.iy]);
+                let cost = current.cost + length + (direction === current.direction ? 0 : this.bendPenalty);
+
+                // Arriving sideways costs a bend at the target stub
+                if (nx === endIndex.ix && nyIndex === endIndex.iy && direction !== arrivalDirection) {
+                    cost += this.bendPenalty;
+                }
+                const id = stateId(nx, nyIndex, direction);
+
+                if (!best.has(id) || cost < best.get(id)) {
+                    best.set(id, cost);
+                    previous.set(id, current.id);
+                    heap.push({ priority: cost + heuristic(nx, nyIndex), cost, ix: nx, iy: nyIndex, direction, id });
+                }
+            });
+        }
+
+        return null;
+    }
+
+    reconstruct(previous, endId, xs, ys, ny) {
+        const points = [];
+        let id = endId;
+
+        while (id !== undefined) {
+            const cell = Math.floor(id / 4);
+            points.unshift({ x: xs[Math.floor(cell / ny)], y: ys[cell % ny] });
+            id = previous.get(id);
+        }
+        return points;
+    }
+
+    // Z-shaped path used when the grid search finds nothing
+    fallbackPath(startStub, endStub, startSide) {
+        if (startSide === 'left' || startSide === 'right') {
+            const midX = (startStub.x + endStub.x) / 2;
+            return [startStub, { x: midX, y: startStub.y }, { x: midX, y: endStub.y }, endStub];
+        }
+        const midY = (startStub.y + endStub.y) / 2;
+        return [startStub, { x: startStub.x, y: midY }, { x: endStub.x, y: midY }, endStub];
+    }
+
+    // Drop duplicate and collinear points
+    simplify(points) {
+        const result = [];
+
+        points.forEach(point => {
+            const last = result[result.length - 1];
+            if (last && last.x === point.x && last.y === point.y) return;
+
+            if (result.length >= 2) {
+                const before = result[result.length - 2];
+                const collinear = (before.x === last.x && last.x === point.x) || (before.y === last.y && last.y === point.y);
+                if (collinear) {
+                    result[result.length - 1] = point;
+                    return;
+                }
+            }
+            result.push({ x: point.x, y: point.y });
+        });
+
+        return result;
+    }
+
+    // GEOMETRY
+    containsPoint(block, point) {
+        return point.x > block.left && point.x < block.right && point.y > block.top && point.y < block.bottom;
+    }
+
+    segmentHitsBlock(block, x1, y1, x2, y2) {
+        const minX = Math.min(x1, x2), maxX = Math.max(x1, x2);
+        const minY = Math.min(y1, y2), maxY = Math.max(y1, y2);
+        return minX < block.right && maxX > block.left && minY < block.bottom && maxY > block.top;
+    }
+
+    isBlocked(points, obstacles) {
+        for (let i = 0; i < points.length - 1; i++) {
+            const a = points[i];
+            const b = points[i + 1];
+            const hit = obstacles.some(rect => this.segmentHitsBlock(
+                { left: rect.x, right: rect.x + rect.width, top: rect.y, bottom: rect.y + rect.height },
+                a.x, a.y, b.x, b.y
+            ));
+            if (hit) return true;
+        }
+        return false;
+    }
+
+    // LANES
+    // Interior segments of different links that run on top of each other are
+    // spread into parallel lanes. End segments stay attached to their ports.
+    separateLanes(routes) {
+        const result = new Map();
+        const groups = new Map();
+
+        routes.forEach((points, key) => {
+            const copy = points.map(point => ({ x: point.x, y: point.y }));
+            result.set(key, copy);
+
+            for (let i = 1; i < copy.length - 2; i++) {
+                const a = copy[i];
+                const b = copy[i + 1];
+                const vertical = a.x === b.x;
+                const coordinate = Math.round(vertical ? a.x : a.y);
+                const groupKey = `${vertical ? 'v' : 'h'}:${coordinate}`;
+
+                if (!groups.has(groupKey)) groups.set(groupKey, []);
+                groups.get(groupKey).push({
+                    key, points: copy, index: i, vertical,
+                    from: Math.min(vertical ? a.y : a.x, vertical ? b.y : b.x),
+                    to: Math.max(vertical ? a.y : a.x, vertical ? b.y : b.x)
+                });
+            }
+        });
+
+        groups.forEach(segments => {
+            segments.sort((a, b) => a.from - b.from || a.key.localeCompare(b.key));
+
+            // Clusters of overlapping segments share the channel
+            let cluster = [];
+            let clusterEnd = -Infinity;
+            const flush = () => {
+                const keys = new Set(cluster.map(segment => segment.key));
+                if (keys.size > 1) {
+                    cluster.forEach((segment, lane) => {
+                        const offset = (lane - (cluster.length - 1) / 2) * this.laneSpacing;
+                        const axis = segment.vertical ? 'x' : 'y';
+                        segment.points[segment.index][axis] += offset;
+                        segment.points[segment.index + 1][axis] += offset;
+                    });
+                }
+                cluster = [];
+                clusterEnd = -Infinity;
+            };
+
+            segments.forEach(segment => {
+                if (segment.from >= clusterEnd && cluster.length > 0) flush();
+                cluster.push(segment);
+                clusterEnd = Math.max(clusterEnd, segment.to);
+            });
+            flush();
+        });
+
+        return result;
+    }
+}
+
+class MinHeap {
+    constructor() {
+        this.items = [];
+    }
+
+    size() {
+        return this.items.length;
+    }
+
+    push(item) {
+        const items = this.items;
+        items.push(item);
+
+        let index = items.length - 1;
+        while (index > 0) {
+            const parent = (index - 1) >> 1;
+            if (items[parent].priority <= items[index].priority) break;
+            [items[parent], items[index]] = [items[index], items[parent]];
+            index = parent;
+        }
+    }
+
+    pop() {
+        const items = this.items;
+        const top = items[0];
+        const last = items.pop();
+
+        if (items.length > 0) {
+            items[0] = last;
+            let index = 0;
+            while (true) {
+                const left = index * 2 + 1;
+                const right = left + 1;
+                let smallest = index;
+                if (left < items.length && items[left].priority < items[smallest].priority) smallest = left;
+                if (right < items.length && items[right].priority < items[smallest].priority) smallest = right;
+                if (smallest === index) break;
+                [items[smallest], items[index]] = [items[index], items[smallest]];
+                index = smallest;
+            }
+        }
+        return top;
+    }
+}
@@ -0,0 +1,364 @@
+class ConnectionSchema {
+    static get FIELDS() {
+        return {
+            target: 'string',
+            type: 'string',
+            interface: 'string',
+            signals: 'array',
+            description: 'string'
+        };
+    }
+
+    static get DIRECTIONS() {
+        return ['in', 'out', 'bidirectional'];
+    }
+
+    // Validate a parsed connections.json document.
+    // Problems are { severity, filePath, modulePath, index, field, message }.
+    static validateFile(data, filePath) {
+        const problems = [];
+        const modulePath = this.getModulePath(filePath);
+        const report = (severity, index, field, message) => {
+            problems.push({ severity, filePath, modulePath, index, field, message });
+        };
+
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            report('error', null, null, 'Expected an object with a "connections" array');
+            return problems;
+        }
+
+        if (!('connections' in data)) {
+            report('error', null, 'connections', 'Missing "connections" array');
+            return problems;
+        }
+
+        if (!Array.isArray(data.connections)) {
+            report('error', null, 'connections', '"connections" must be an array');
+            return problems;
+        }
+
+        data.connections.forEach((conn, index) => {
+            if (!conn || typeof conn !== 'object' || Array.isArray(conn)) {
+                report('error', index, null, 'Connection must be an object');
+                return;
+            }
+
+            this.validateConnection(conn).forEach(problem => {
+                report(problem.severity, index, problem.field, problem.message);
+            });
+        });
+
+        if (data.connectors !== undefined) {
+            this.validateConnectors(data.connectors).forEach(problem => {
+                report(problem.severity, null, 'connectors', problem.message);
+            });
+        }
+
+        return problems;
+    }
+
+    static validateConnection(conn) {
+        const problems = [];
+        const fields = this.FIELDS;
+
+        Object.keys(fields).forEach(field => {
+            const value = conn[field];
+
+            if (value === undefined || value === null) {
+                problems.push({ severity: 'error', field, message: `Missing "${field}"` });
+                return;
+            }
+
+            if (fields[field] === 'array') {
+                if (!Array.isArray(value)) {
+                    problems.push({ severity: 'error', field, message: `"${field}" must be an array of strings` });
+                } else if (value.some(item => typeof item !== 'string')) {
+                    problems.push({ severity: 'error', field, message: `"${field}" must only contain strings` });
+                } else if (value.length === 0) {
+                    problems.push({ severity: 'warning', field, message: `"${field}" is empty` });
+                } else if (new Set(value).size !== value.length) {
+                    problems.push({ severity: 'warning', field, message: `"${field}" contains duplicates` });
+                }
+                return;
+            }
+
+            if (typeof value !== 'string') {
+                problems.push({ severity: 'error', field, message: `"${field}" must be a string` });
+            } else if (!value.trim()) {
+                // An empty description is tolerable, an empty target or type is not
+                const severity = field === 'description' ? 'warning' : 'error';
+                problems.push({ severity, field, message: `"${field}" is empty` });
+            }
+        });
+
+        // Optional: which way the link points, seen from the declaring module
+        if (conn.direction !== undefined && !this.DIRECTIONS.includes(conn.direction)) {
+            problems.push({
+                severity: 'error',
+                field: 'direction',
+                message: `"direction" must be one of ${this.DIRECTIONS.join(', ')}`
+            });
+        }
+
+        // Optional: the connector the link runs through, see Pinout
+        if (conn.connector !== undefined && (typeof conn.connector !== 'string' || !conn.connector.trim())) {
+            problems.push({ severity: 'error', field: 'connector', message: '"connector" must be a connector id, e.g. "J1" or "../board#J1"' });
+        }
+
+        if (conn.pinout !== undefined) {
+            this.validatePins(conn.pinout, '"pinout"').forEach(problem => {
+                problems.push({ ...problem, field: 'pinout' });
+            });
+        }
+
+        return problems;
+    }
+
+    // The optional "connectors" list next to "connections"
+    static validateConnectors(connectors) {
+        if (!Array.isArray(connectors)) {
+            return [{ severity: 'error', message: '"connectors" must be an array' }];
+        }
+
+        const problems = [];
+        const ids = new Set();
+
+        connectors.forEach((connector, index) => {
+            if (!connector || typeof connector !== 'object' || Array.isArray(connector)) {
+                problems.push({ severity: 'error', message: `Connector #${index + 1} must be an object` });
+                return;
+            }
+
+            if (typeof connector.id !== 'string' || !connector.id.trim()) {
+                problems.push({ severity: 'error', message: `Connector #${index + 1} has no "id"` });
+                return;
+            }
+            if (connector.id.includes(Pinout.REFERENCE_SEPARATOR)) {
+                problems.push({ severity: 'error', message: `Connector id "${connector.id}" must not contain "${Pinout.REFERENCE_SEPARATOR}"` });
+            }
+            if (ids.has(connector.id)) {
+                problems.push({ severity: 'error', message: `Connector "${connector.id}" is declared twice` });
+            }
+            ids.add(connector.id);
+
+            if (connector.name !== undefined && typeof connector.name !== 'string') {
+                problems.push({ severity: 'error', message: `Connector "${connector.id}": "name" must be a string` });
+            }
+
+            if (connector.pinout === undefined) {
+                problems.push({ severity: 'warning', message: `Connector "${connector.id}" has no "pinout"` });
+            } else {
+                problems.push(...this.validatePins(connector.pinout, `Connector "${connector.id}"`));
+            }
+        });
+
+        return problems;
+    }
+
+    // Pins are { pin, signal, direction?, voltage? }, messages start with the owner's label
+    static validatePins(pins, label) {
+        if (!Array.isArray(pins)) {
+            return [{ severity: 'error', message: `${label}: the pinout must be an array of pins` }];
+        }
+        if (pins.length === 0) {
+            return [{ severity: 'warning', message: `${label}: the pinout is empty` }];
+        }
+
+        const problems = [];
+        const numbers = new Set();
+        const report = (severity, message) => problems.push({ severity, message: `${label}: ${message}` });
+
+        pins.forEach((pin, index) => {
+            if (!pin || typeof pin !== 'object' || Array.isArray(pin)) {
+                report('error', `pin entry #${index + 1} must be an object`);
+                return;
+            }
+
+            const hasNumber = (typeof pin.pin === 'string' && pin.pin.trim()) || typeof pin.pin === 'number';
+            if (!hasNumber) {
+                report('error', `pin entry #${index + 1} has no "pin" number`);
+                return;
+            }
+
+            const number = String(pin.pin);
+            if (numbers.has(number)) {
+                report('error', `pin ${number} is listed twice`);
+            }
+            numbers.add(number);
+
+            if (typeof pin.signal !== 'string' || !pin.signal.trim()) {
+                report('error', `pin ${number} has no "signal"`);
+            }
+            if (pin.direction !== undefined && !this.DIRECTIONS.includes(pin.direction)) {
+                report('error', `pin ${number} "direction" must be one of ${this.DIRECTIONS.join(', ')}`);
+            }
+            if (pin.voltage !== undefined) {
+                if (typeof pin.voltage !== 'string') {
+                    report('error', `pin ${number} "voltage" must be a string`);
+                } else if (!/^-?\d+(\.\d+)?V$/i.test(pin.voltage)) {
+                    report('warning', `pin ${number} "voltage" should be a level like "3.3V"`);
+                }
+            }
+        });
+
+        return problems;
+    }
+
+    // Validate every loaded file and check that targets point at existing directories.
+    // connectionFiles: Map of directory path -> parsed data
+    // parseErrors: [{ filePath, message }] for files that were not valid JSON
+    // directories: Set of every directory path in the project
+    static validateProject(connectionFiles, parseErrors, directories) {
+        const problems = [];
+
+        parseErrors.forEach(entry => {
+            problems.push({
+                severity: 'error',
+                filePath: entry.filePath,
+                modulePath: this.getModulePath(entry.filePath),
+                index: null,
+                field: null,
+                message: `Invalid JSON: ${entry.message}`
+            });
+        });
+
+        connectionFiles.forEach((data, dirPath) => {
+            const filePath = `${dirPath}/connections.json`;
+            const fileProblems = this.validateFile(data, filePath);
+            problems.push(...fileProblems);
+
+            if (!data || !Array.isArray(data.connections)) return;
+
+            const rootPath = PathResolver.getRoot(dirPath);
+
+            data.connections.forEach((conn, index) => {
+                if (!conn || typeof conn.target !== 'string' || !conn.target.trim()) return;
+
+                const resolvedPath = PathResolver.resolve(dirPath, conn.target, rootPath);
+
+                if (!resolvedPath || !directories.has(resolvedPath)) {
+                    problems.push({
+                        severity: 'error',
+                        filePath,
+                        modulePath: dirPath,
+                        index,
+                        field: 'target',
+                        message: `Target "${conn.target}" does not resolve to an existing module directory`
+                    });
+                } else if (resolvedPath === dirPath) {
+                    problems.push({
+                        severity: 'warning',
+                        filePath,
+                        modulePath: dirPath,
+                        index,
+                        field: 'target',
+                        message: `Target "${conn.target}" points at the module itself`
+                    });
+                }
+            });
+
+            data.connections.forEach((conn, index) => {
+                if (!conn || typeof conn !== 'object') return;
+                this.validatePinReferences(conn, dirPath, connectionFiles).forEach(problem => {
+                    problems.push({ severity: problem.severity, filePath, modulePath: dirPath, index, field: problem.field, message: problem.message });
+                });
+            });
+        });
+
+        return this.sortProblems(problems);
+    }
+
+    // Checks that need the other files: the named connector exists and the
+    // connection's pins and signals agree with it
+    static validatePinReferences(conn, dirPath, connectionFiles) {
+        const problems = [];
+        const signals = Array.isArray(conn.signals) ? conn.signals.filter(signal => typeof signal === 'string') : [];
+
+        if (Array.isArray(conn.pinout)) {
+            Pinout.normalize(conn.pinout).filter(pin => pin.signal && !signals.includes(pin.signal)).forEach(pin => {
+                problems.push({ severity: 'warning', field: 'pinout', message: `Pin ${pin.pin} carries "${pin.signal}", which is not in "signals"` });
+            });
+        }
+
+        if (typeof conn.connector !== 'string' || !conn.connector.trim()) return problems;
+
+        const resolved = Pinout.resolveConnector(dirPath, conn.connector, connectionFiles);
+        if (!resolved) {
+            problems.push({ severity: 'error', field: 'connector', message: `Connector "${conn.connector}" is not declared in any "connectors" list` });
+            return problems;
+        }
+        if (!Array.isArray(resolved.connector.pinout)) return problems;
+
+        const connectorPins = Pinout.normalize(resolved.connector.pinout);
+        if (Array.isArray(conn.pinout)) {
+            const numbers = new Set(connectorPins.map(pin => pin.pin));
+            Pinout.normalize(conn.pinout).filter(pin => !numbers.has(pin.pin)).forEach(pin => {
+                problems.push({ severity: 'error', field: 'pinout', message: `Pin ${pin.pin} is not on connector "${conn.connector}"` });
+            });
+        } else {
+            const connectorSignals = new Set(connectorPins.map(pin => pin.signal));
+            signals.filter(signal => !connectorSignals.has(signal)).forEach(signal => {
+                problems.push({ severity: 'warning', field: 'signals', message: `"${signal}" has no pin on connector "${conn.connector}"` });
+            });
+        }
+
+        return problems;
+    }
+
+    // Errors first, then by file and connection index
+    static sortProblems(problems) {
+        return problems.sort((a, b) => {
+            if (a.severity !== b.severity) return a.severity === 'error' ? -1 : 1;
+            if (a.filePath !== b.filePath) return a.filePath.localeCompare(b.filePath);
+            return (a.index ?? -1) - (b.index ?? -1);
+        });
+    }
+
+    // SERIALIZATION
+    // Two-space indented JSON with short value lists and pinout entries kept on
+    // one line, matching the hand-written connections.json files
+    static serialize(data) {
+        return this.formatValue(data, '') + '\n';
+    }
+
+    static formatValue(value, indent, inList = false) {
+        const innerIndent = indent + '  ';
+
+        if (Array.isArray(value)) {
+            if (value.length === 0) return '[]';
+
+            if (value.every(item => item === null || typeof item !== 'object')) {
+                return '[' + value.map(item => JSON.stringify(item)).join(', ') + ']';
+            }
+
+            const items = value.map(item => innerIndent + this.formatValue(item, innerIndent, true));
+            return '[\n' + items.join(',\n') + '\n' + indent + ']';
+        }
+
+        if (value && typeof value === 'object') {
+            const keys = Object.keys(value).filter(key => value[key] !== undefined);
+            if (keys.length === 0) return '{}';
+
+            // One pin per line keeps long pinouts readable
+            if (inList && 'pin' in value && keys.every(key => value[key] === null || typeof value[key] !== 'object')) {
+                return '{ ' + keys.map(key => `${JSON.stringify(key)}: ${JSON.stringify(value[key])}`).join(', ') + ' }';
+            }
+
+            const items = keys.map(key =>
+                `${innerIndent}${JSON.stringify(key)}: ${this.formatValue(value[key], innerIndent)}`
+            );
+            return '{\n' + items.join(',\n') + '\n' + indent + '}';
+        }
+
+        return JSON.stringify(value);
+    }
+
+    static getModulePath(filePath) {
+        const parts = filePath.split('/');
+        return parts.slice(0, -1).join('/');
+    }
+}
+
+if (typeof module !== 'undefined') {
+    module.exports = ConnectionSchema;
+}
@@ -0,0 +1,218 @@
+class ConsistencyChecker {
+    // Links are declared on both ends by convention. This pairs each declaration
+    // with the one on the other end and reports links declared on one side only,
+    // and pairs whose type, interface, signals or pinouts disagree.
+    static get COMPARED_FIELDS() {
+        return ['type', 'interface', 'signals'];
+    }
+
+    // connectionFiles: Map of directory path -> parsed connections.json
+    // resolveTarget: connection -> resolved module path, or null
+    // Returns { findings, byModule: Map of module path -> findings touching it }
+    static check(connectionFiles, resolveTarget) {
+        const declarations = new Map(); // "from->to" -> { from, to, entries }
+
+        connectionFiles.forEach((connectionData, dirPath) => {
+            if (!connectionData || !Array.isArray(connectionData.connections)) return;
+
+            connectionData.connections.forEach((conn, index) => {
+                const targetPath = resolveTarget(conn);
+                if (!targetPath || targetPath === dirPath) return;
+
+                const key = `${dirPath}->${targetPath}`;
+                if (!declarations.has(key)) {
+                    declarations.set(key, { from: dirPath, to: targetPath, entries: [] });
+                }
+                declarations.get(key).entries.push({ modulePath: dirPath, targetPath, index, conn });
+            });
+        });
+
+        const findings = [];
+        const handled = new Set();
+        const leftovers = [];
+
+        declarations.forEach((forward, key) => {
+            if (handled.has(key)) return;
+
+            const reverseKey = `${forward.to}->${forward.from}`;
+            handled.add(key);
+            handled.add(reverseKey);
+
+            const reverse = declarations.get(reverseKey) || { from: forward.to, to: forward.from, entries: [] };
+            const result = this.matchDeclarations(forward.entries, reverse.entries);
+
+            result.pairs.forEach(([a, b]) => findings.push(...this.compare(a, b), ...this.comparePinouts(a, b, connectionFiles)));
+            leftovers.push(...result.unmatchedA, ...result.unmatchedB);
+        });
+
+        // Declarations made at different levels of the hierarchy, e.g. a chip
+        // pointing at a board that points back at the chip's parent module
+        const crossLevel = this.matchAcrossLevels(leftovers);
+        crossLevel.pairs.forEach(([a, b]) => findings.push(...this.compare(a, b), ...this.comparePinouts(a, b, connectionFiles)));
+        crossLevel.unmatched.forEach(entry => findings.push(this.oneSided(entry, connectionFiles)));
+
+        const byModule = new Map();
+        findings.forEach(finding => {
+            [finding.modulePath, finding.otherPath].forEach(path => {
+                if (!byModule.has(path)) byModule.set(path, []);
+                byModule.get(path).push(finding);
+            });
+        });
+
+        return { findings, byModule };
+    }
+
+    // Greedy pairing, best agreeing declarations first
+    static matchDeclarations(entriesA, entriesB) {
+        const candidates = [];
+        entriesA.forEach(a => {
+            entriesB.forEach(b => {
+                candidates.push({ a, b, score: this.score(a.conn, b.conn) });
+            });
+        });
+        candidates.sort((x, y) => y.score - x.score);
+
+        const usedA = new Set();
+        const usedB = new Set();
+        const pairs = [];
+
+        candidates.forEach(candidate => {
+            if (usedA.has(candidate.a) || usedB.has(candidate.b)) return;
+            usedA.add(candidate.a);
+            usedB.add(candidate.b);
+            pairs.push([candidate.a, candidate.b]);
+        });
+
+        return {
+            pairs,
+            unmatchedA: entriesA.filter(entry => !usedA.has(entry)),
+            unmatchedB: entriesB.filter(entry => !usedB.has(entry))
+        };
+    }
+
+    // Pair leftovers whose ends are the same modules or ancestors/descendants of them
+    static matchAcrossLevels(entries) {
+        const related = (a, b) => a === b || PathResolver.isAncestor(a, b) || PathResolver.isAncestor(b, a);
+        const candidates = [];
+
+        entries.forEach((a, i) => {
+            entries.slice(i + 1).forEach(b => {
+                if (a.modulePath === b.modulePath) return;
+                if (!related(a.targetPath, b.modulePath) || !related(b.targetPath, a.modulePath)) return;
+
+                // Without exact endpoints, only pair declarations that agree on type or interface
+                const score = this.score(a.conn, b.conn);
+                if (score >= 2) {
+                    candidates.push({ a, b, score });
+                }
+            });
+        });
+        candidates.sort((x, y) => y.score - x.score);
+
+        const used = new Set();
+        const pairs = [];
+
+        candidates.forEach(candidate => {
+            if (used.has(candidate.a) || used.has(candidate.b)) return;
+            used.add(candidate.a);
+            used.add(candidate.b);
+            pairs.push([candidate.a, candidate.b]);
+        });
+
+        return { pairs, unmatched: entries.filter(entry => !used.has(entry)) };
+    }
+
+    static score(a, b) {
+        let score = 0;
+        if (a.type === b.type) score += 4;
+        if (a.interface === b.interface) score += 2;
+
+        const signalsA = this.getSignals(a);
+        if (this.getSignals(b).some(signal => signalsA.includes(signal))) score += 1;
+
+        return score;
+    }
+
+    static getSignals(conn) {
+        return Array.isArray(conn.signals) ? conn.signals : [];
+    }
+
+    static sameSignals(a, b) {
+        const signalsA = new Set(this.getSignals(a));
+        const signalsB = new Set(this.getSignals(b));
+        return signalsA.size === signalsB.size && Array.from(signalsA).every(signal => signalsB.has(signal));
+    }
+
+    static compare(a, b) {
+        const findings = [];
+
+        this.COMPARED_FIELDS.forEach(field => {
+            const same = field === 'signals' ?
+                this.sameSignals(a.conn, b.conn) :
+                a.conn[field] === b.conn[field];
+            if (same) return;
+
+            const format = (conn) => field === 'signals' ?
+                `[${this.getSignals(conn).join(', ')}]` :
+                `"${conn[field] === undefined ? '' : conn[field]}"`;
+
+            findings.push({
+                severity: field === 'signals' ? 'warning' : 'error',
+                kind: 'mismatch',
+                field: field,
+                modulePath: a.modulePath,
+                index: a.index,
+                otherPath: b.modulePath,
+                otherIndex: b.index,
+                message: `${field} differs between the two ends: ${format(a.conn)} here, ${format(b.conn)} in ${b.modulePath}`
+            });
+        });
+
+        return findings;
+    }
+
+    // Only checked when both ends give pins, either their own or a connector's.
+    // The finding lists the disagreeing pins so the details panel can mark them.
+    static comparePinouts(a, b, connectionFiles) {
+        const pinsA = Pinout.getPins(a.conn, a.modulePath, connectionFiles);
+        const pinsB = Pinout.getPins(b.conn, b.modulePath, connectionFiles);
+        if (!pinsA || !pinsB) return [];
+
+        const mismatches = Pinout.compare(pinsA, pinsB);
+        if (mismatches.length === 0) return [];
+
+        return [{
+            severity: mismatches.some(mismatch => mismatch.severity === 'error') ? 'error' : 'warning',
+            kind: 'pinout',
+            field: 'pinout',
+            modulePath: a.modulePath,
+            index: a.index,
+            otherPath: b.modulePath,
+            otherIndex: b.index,
+            pins: mismatches.map(mismatch => mismatch.pin),
+            message: `Pinout differs from ${b.modulePath}: ${mismatches.map(mismatch => mismatch.message).join('; ')}`
+        }];
+    }
+
+    static oneSided(entry, connectionFiles) {
+        const otherPath = entry.targetPath;
+        const reason = connectionFiles.has(otherPath) ?
+            `${otherPath} does not declare it back` :
+            `${otherPath} has no connections.json`;
+
+        return {
+            severity: 'warning',
+            kind: 'one-sided',
+            field: null,
+            modulePath: entry.modulePath,
+            index: entry.index,
+            otherPath: otherPath,
+            otherIndex: null,
+            message: `One-sided ${entry.conn.type || 'connection'} link: ${reason}`
+        };
+    }
+}
+
+if (typeof module !== 'undefined') {
+    module.exports = ConsistencyChecker;
+}
@@ -0,0 +1,15 @@
+class CsvWriter {
+    // CSV as spreadsheets read it: CRLF line ends, fields quoted only when needed.
+    // rows: arrays of strings, the first one usually the header
+    static stringify(rows) {
+        return rows.map(row => row.map(value => this.escape(value)).join(',')).join('\r\n') + '\r\n';
+    }
+
+    static escape(value) {
+        return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+    }
+}
+
+if (typeof module !== 'undefined') {
+    module.exports = CsvWriter;
+}
@@ -0,0 +1,273 @@
+class DiagramExporter {
+    // Renders the visible diagram to a standalone SVG. PNG and PDF are rasterized
+    // from that SVG, so all three formats look the same.
+    static get THEMES() {
+        return {
+            dark: {
+                background: '#1a1a1a',
+                text: '#ffffff',
+                containerFill: 'rgba(79, 195, 247, 0.1)',
+                containerStroke: '#4fc3f7',
+                traced: '#ffeb3b',
+                moduleFill: 'color' // Which ModuleTypes color fills module boxes
+            },
+            light: {
+                background: '#ffffff',
+                text: '#212121',
+                containerFill: 'rgba(2, 136, 209, 0.06)',
+                containerStroke: '#0288d1',
+                traced: '#f9a825',
+                moduleFill: 'lightColor'
+            }
+        };
+    }
+
+    // Outline colors for compare mode
+    static get DIFF_COLORS() {
+        return { added: '#66bb6a', removed: '#f44336', changed: '#ffb300' };
+    }
+
+    static get PADDING() {
+        return 40;
+    }
+
+    // Largest canvas edge browsers reliably allocate
+    static get MAX_CANVAS_SIZE() {
+        return 8192;
+    }
+
+    // scene: {
+    //   bounds: { x, y, width, height } in world coordinates,
+    //   modules: [{ type, title, x, y, width, height, container, port: side or undefined, diff: status or null }],
+    //   links: [{ key, points, connections, className }]
+    // }
+    // Returns the SVG markup as a string.
+    static buildSvg(scene, themeName = 'dark') {
+        const theme = this.THEMES[themeName] || this.THEMES.dark;
+        const layer = new ConnectionLayer();
+        const create = (tag, attributes) => layer.createElement(tag, attributes);
+        const bounds = scene.bounds;
+
+        const svg = create('svg', {
+            width: Math.ceil(bounds.width),
+            height: Math.ceil(bounds.height),
+            viewBox: `${bounds.x} ${bounds.y} ${bounds.width} ${bounds.height}`,
+            'font-family': "'Segoe UI', Tahoma, Geneva, Verdana, sans-serif"
+        });
+
+        // The on-screen styling lives in styles.css, standalone files need their own copy
+        const style = create('style');
+        style.textContent = `
+            .connection-label { font-size: 11px; paint-order: stroke; stroke: ${theme.background}; stroke-width: 3px; }
+            .connection-link.dimmed, .connection-label.dimmed { opacity: 0.2; }
+            .connection-link.traced .connection-path { stroke: ${theme.traced}; }
+            .connection-link.traced .connection-arrowhead, .connection-label.traced { fill: ${theme.traced}; }
+            ${Object.keys(this.DIFF_COLORS).map(status => `
+            .connection-link.diff-${status} .connection-path { stroke: ${this.DIFF_COLORS[status]}; }
+            .connection-link.diff-${status} .connection-arrowhead, .connection-label.diff-${status} { fill: ${this.DIFF_COLORS[status]}; }`).join('')}
+            .connection-link.diff-removed, .module.diff-removed { opacity: 0.6; }
+        `;
+        svg.appendChild(style);
+
+        svg.appendChild(create('rect', {
+            x: bounds.x, y: bounds.y, width: bounds.width, height: bounds.height, fill: theme.background
+        }));
+
+        // Containers first so their children and the connections draw on top
+        const modules = scene.modules.slice().sort((a, b) => (b.container ? 1 : 0) - (a.container ? 1 : 0));
+        modules.forEach(module => svg.appendChild(this.buildModule(module, theme, create)));
+
+        const pathGroup = create('g', { class: 'connection-paths' });
+        const labelGroup = create('g', { class: 'connection-labels' });
+        svg.appendChild(pathGroup);
+        svg.appendChild(labelGroup);
+
+        layer.drawInto(pathGroup, labelGroup);
+        scene.links.forEach(link => layer.drawLink(link));
+
+        // Click targets are only useful on screen
+        svg.querySelectorAll('.connection-hit').forEach(el => el.remove());
+
+        return '<?xml version="1.0" encoding="UTF-8"?>\n' + new XMLSerializer().serializeToString(svg);
+    }
+
+    static buildModule(module, theme, create) {
+        const group = create('g', { class: `module ${module.type}${module.diff ? ' diff-' + module.diff : ''}` });
+
+        // Boundary port on a container border (port = side), labelled inside the container
+        if (module.port) {
+            group.appendChild(create('rect', {
+                x: module.x, y: module.y, width: module.width, height: module.height,
+                fill: theme.background, stroke: theme.containerStroke, 'stroke-width': 2
+            }));
+
+            const centerX = module.x + module.width / 2;
+            const centerY = module.y + module.height / 2;
+            const placement = {
+                left: { x: module.x + module.width + 4, y: centerY + 4, anchor: 'start' },
+                right: { x: module.x - 4, y: centerY + 4, anchor: 'end' },
+                top: { x: centerX, y: module.y + module.height + 12, anchor: 'middle' },
+                bottom: { x: centerX, y: module.y - 4, anchor: 'middle' }
+            }[module.port];
+
+            const label = create('text', {
+                x: placement.x, y: placement.y, fill: theme.text, 'font-size': 10, 'text-anchor': placement.anchor
+            });
+            label.textContent = module.title;
+            group.appendChild(label);
+            return group;
+        }
+
+        const diffColor = module.diff ? this.DIFF_COLORS[module.diff] : null;
+
+        if (module.container) {
+            group.appendChild(create('rect', {
+                x: module.x, y: module.y, width: module.width, height: module.height, rx: 15,
+                fill: theme.containerFill, stroke: diffColor || theme.containerStroke, 'stroke-width': diffColor ? 3 : 2
+            }));
+
+            const title = create('text', { x: module.x + 15, y: module.y + 26, fill: theme.text, 'font-size': 14, 'font-weight': 'bold' });
+            title.textContent = module.title;
+            group.appendChild(title);
+
+            const type = create('text', { x: module.x + 15, y: module.y + 45, fill: theme.text, 'font-size': 11, opacity: 0.8 });
+            type.textContent = ModuleTypes.getLabel(module.type).toUpperCase();
+            group.appendChild(type);
+            return group;
+        }
+
+        const box = create('rect', {
+            x: module.x, y: module.y, width: module.width, height: module.height, rx: 10,
+            fill: ModuleTypes.get(module.type)[theme.moduleFill]
+        });
+        if (diffColor) {
+            box.setAttribute('stroke', diffColor);
+            box.setAttribute('stroke-width', 3);
+        }
+        group.appendChild(box);
+
+        const centerX = module.x + module.width / 2;
+        const centerY = module.y + module.height / 2;
+
+        const title = create('text', { x: centerX, y: centerY - 2, fill: '#ffffff', 'font-size': 14, 'font-weight': 'bold', 'text-anchor': 'middle' });
+        title.textContent = module.title;
+        group.appendChild(title);
+
+        const type = create('text', { x: centerX, y: centerY + 16, fill: '#ffffff', 'font-size': 11, opacity: 0.8, 'text-anchor': 'middle' });
+        type.textContent = ModuleTypes.getLabel(module.type).toUpperCase();
+        group.appendChild(type);
+
+        return group;
+    }
+
+    // RASTER EXPORTS
+    static async renderToCanvas(svgText, width, height, scale) {
+        // Stay inside the canvas size limit for very large diagrams
+        const limit = this.MAX_CANVAS_SIZE / Math.max(width, height);
+        const finalScale = Math.min(scale, limit);
+
+        const url = URL.createObjectURL(new Blob([svgText], { type: 'image/svg+xml' }));
+        try {
+            const image = await new Promise((resolve, reject) => {
+                const img = new Image();
+                img.onload = () => resolve(img);
+                img.onerror = () => reject(new Error('Could not render the diagram image'));
+                img.src = url;
+            });
+
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.round(width * finalScale);
+            canvas.height = Math.round(height * finalScale);
+            canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+            return canvas;
+        } finally {
+            URL.revokeObjectURL(url);
+        }
+    }
+
+    static canvasToBlob(canvas, type, quality) {
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => {
+                if (blob) {
+                    resolve(blob);
+                } else {
+                    reject(new Error(`Could not encode ${type}`));
+                }
+            }, type, quality);
+        });
+    }
+
+    static async toPng(svgText, width, height, scale = 2) {
+        const canvas = await this.renderToCanvas(svgText, width, height, scale);
+        return this.canvasToBlob(canvas, 'image/png');
+    }
+
+    static async toPdf(svgText, width, height, scale = 2) {
+        const canvas = await this.renderToCanvas(svgText, width, height, scale);
+        const jpeg = await this.canvasToBlob(canvas, 'image/jpeg', 0.92);
+        const bytes = new Uint8Array(await jpeg.arrayBuffer());
+        return this.buildPdf(bytes, canvas.width, canvas.height);
+    }
+
+    // Single page PDF with the diagram as a JPEG image (DCTDecode),
+    // fitted onto an A4 page turned to match the diagram
+    static buildPdf(jpegBytes, imageWidth, imageHeight) {
+        const landscape = imageWidth >= imageHeight;
+        const pageWidth = landscape ? 842 : 595;
+        const pageHeight = landscape ? 595 : 842;
+        const margin = 36;
+
+        const scale = Math.min((pageWidth - margin * 2) / imageWidth, (pageHeight - margin * 2) / imageHeight);
+        const drawWidth = imageWidth * scale;
+        const drawHeight = imageHeight * scale;
+        const offsetX = (pageWidth - drawWidth) / 2;
+        const offsetY = (pageHeight - drawHeight) / 2;
+
+        const encoder = new TextEncoder();
+        const content = encoder.encode(
+            `q ${drawWidth.toFixed(2)} 0 0 ${drawHeight.toFixed(2)} ${offsetX.toFixed(2)} ${offsetY.toFixed(2)} cm /Im1 Do Q\n`
+        );
+
+        const objects = [
+            { dictionary: '<< /Type /Catalog /Pages 2 0 R >>' },
+            { dictionary: '<< /Type /Pages /Kids [3 0 R] /Count 1 >>' },
+            { dictionary: `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pageWidth} ${pageHeight}] /Resources << /XObject << /Im1 4 0 R >> >> /Contents 5 0 R >>` },
+            {
+                dictionary: `<< /Type /XObject /Subtype /Image /Width ${imageWidth} /Height ${imageHeight} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${jpegBytes.length} >>`,
+                stream: jpegBytes
+            },
+            { dictionary: `<< /Length ${content.length} >>`, stream: content }
+        ];
+
+        const parts = [];
+        let offset = 0;
+        const write = (data) => {
+            const bytes = typeof data === 'string' ? encoder.encode(data) : data;
+            parts.push(bytes);
+            offset += bytes.length;
+        };
+
+        // The binary comment marks the file as binary for transfer tools
+        write('%PDF-1.4\n');
+        write(new Uint8Array([0x25, 0xE2, 0xE3, 0xCF, 0xD3, 0x0A]));
+
+        const offsets = objects.map((object, index) => {
+            const objectOffset = offset;
+            write(`${index + 1} 0 obj\n${object.dictionary}\n`);
+            if (object.stream) {
+                write('stream\n');
+                write(object.stream);
+                write('\nendstream\n');
+            }
+            write('endobj\n');
+            return objectOffset;
+        });
+
+        const xrefOffset = offset;
+        write(`xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`);
+        offsets.forEach(objectOffset => write(`${String(objectOffset).padStart(10, '0')} 00000 n \n`));
+        write(`trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+        return new Blob(parts, { type: 'application/pdf' });
+    }
+}
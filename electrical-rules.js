@@ -0,0 +1,364 @@
+class ElectricalRules {
+    // The built-in ERC rules, see RuleChecker for how rules are registered and
+    // configured. A module's supply comes from "supplyVoltage" in its module.json,
+    // otherwise from the numeric power rails (5V_power, 24V_power) feeding it or
+    // its closest fed ancestor. Only explicit directions count as drivers, the
+    // description guesses of NetTracer are too loose for an electrical check.
+    // Power budgets come from "currentDraw" and "supplyCapacity", see PowerBudget.
+    static createRules() {
+        return [
+            {
+                id: 'logic-levels',
+                label: 'Logic levels',
+                severity: 'error',
+                options: { types: ['digital_io'], levelShifting: 'level.?shift' },
+                validateOptions: (options) => this.validateLogicLevelOptions(options),
+                check: (context, options) => this.checkLogicLevels(context, options)
+            },
+            {
+                id: 'supply-voltage',
+                label: 'Supply voltage',
+                severity: 'error',
+                options: {},
+                check: (context) => this.checkSupplyVoltages(context)
+            },
+            {
+                id: 'power-budget',
+                label: 'Power budget',
+                severity: 'warning',
+                options: {},
+                check: (context) => this.checkPowerBudget(context)
+            },
+            {
+                id: 'bus-signals',
+                label: 'Bus signals',
+                severity: 'warning',
+                options: { buses: this.BUSES },
+                validateOptions: (options) => this.validateBusOptions(options),
+                check: (context, options) => this.checkBusSignals(context, options)
+            },
+            {
+                id: 'multiple-drivers',
+                label: 'Multiple drivers',
+                severity: 'error',
+                options: { ignoreSignals: ['GND'] },
+                validateOptions: (options) => this.validateDriverOptions(options),
+                check: (context, options) => this.checkMultipleDrivers(context, options)
+            }
+        ];
+    }
+
+    // Required signals per bus, each entry lists the accepted names of one signal
+    static get BUSES() {
+        return {
+            i2c: [['SDA'], ['SCL']],
+            spi: [['SCK', 'SCLK', 'CLK'], ['MOSI', 'SDO', 'COPI'], ['MISO', 'SDI', 'CIPO']],
+            can: [['CAN_H', 'CANH'], ['CAN_L', 'CANL']]
+        };
+    }
+
+    // callback(conn, dirPath, index, targetPath), targetPath is null when it doesn't resolve
+    static forEachConnection(context, callback) {
+        context.connectionFiles.forEach((connectionData, dirPath) => {
+            if (!connectionData || !Array.isArray(connectionData.connections)) return;
+
+            connectionData.connections.forEach((conn, index) => {
+                if (!conn || typeof conn !== 'object') return;
+
+                const targetPath = context.resolveTarget(conn);
+                callback(conn, dirPath, index, targetPath && targetPath !== dirPath ? targetPath : null);
+            });
+        });
+    }
+
+    static getSignals(conn) {
+        return Array.isArray(conn.signals) ? conn.signals.filter(signal => typeof signal === 'string') : [];
+    }
+
+    static formatVoltage(voltage) {
+        return `${voltage}V`;
+    }
+
+    // SUPPLIES
+    // Map of module path -> { voltages, declared }
+    static getSupplies(context) {
+        const supplies = new Map();
+
+        context.metadataFiles.forEach((data, dirPath) => {
+            const voltages = ModuleMetadata.getSupplyVoltages(data);
+            if (voltages.length > 0) {
+                supplies.set(dirPath, { voltages, declared: true });
+            }
+        });
+
+        this.forEachConnection(context, (conn, dirPath, index, targetPath) => {
+            if (!targetPath || !PowerTree.isPowerConnection(conn)) return;
+
+            const voltage = PowerTree.getRailVoltage(PowerTree.getRail(conn));
+            if (voltage === null) return;
+
+            const { load } = PowerTree.getEnds(conn, dirPath, targetPath);
+            if (!supplies.has(load)) {
+                supplies.set(load, { voltages: [], declared: false });
+            }
+
+            const supply = supplies.get(load);
+            if (!supply.declared && !supply.voltages.includes(voltage)) {
+                supply.voltages.push(voltage);
+            }
+        });
+
+        return supplies;
+    }
+
+    // The lowest supply is taken as the logic level, higher ones usually feed power stages
+    static getLogicVoltage(modulePath, supplies) {
+        const parts = PathResolver.split(modulePath);
+        for (let length = parts.length; length > 0; length--) {
+            const supply = supplies.get(parts.slice(0, length).join('/'));
+            if (supply && supply.voltages.length > 0) {
+                return Math.min(...supply.voltages);
+            }
+        }
+        return null;
+    }
+
+    // OPTIONS
+    // Messages for options from erc.json the rules can't work with
+    static validateLogicLevelOptions(options) {
+        const messages = [];
+        if (!this.isStringList(options.types)) {
+            messages.push('"types" must be a list of connection types');
+        }
+        if (typeof options.levelShifting !== 'string') {
+            messages.push('"levelShifting" must be a regular expression string');
+        } else {
+            try {
+                new RegExp(options.levelShifting, 'i');
+            } catch (error) {
+                messages.push(`"levelShifting" is not valid: ${error.message}`);
+            }
+        }
+        return messages;
+    }
+
+    static validateBusOptions(options) {
+        const buses = options.buses;
+        if (!buses || typeof buses !== 'object' || Array.isArray(buses)) {
+            return ['"buses" must be an object of bus name -> required signals'];
+        }
+        return Object.keys(buses)
+            .filter(bus => !Array.isArray(buses[bus]) || !buses[bus].every(names => typeof names === 'string' || this.isStringList(names)))
+            .map(bus => `"buses.${bus}" must list signal names, or lists of accepted names per signal`);
+    }
+
+    static validateDriverOptions(options) {
+        return this.isStringList(options.ignoreSignals) ? [] : ['"ignoreSignals" must be a list of signal names'];
+    }
+
+    static isStringList(value) {
+        return Array.isArray(value) && value.every(item => typeof item === 'string');
+    }
+
+    // RULES
+    // Signal links between modules on different logic levels, unless either end
+    // mentions level shifting in its interface or description
+    static checkLogicLevels(context, options) {
+        const types = Array.isArray(options.types) ? options.types : [];
+        const levelShifting = new RegExp(options.levelShifting, 'i');
+        const supplies = this.getSupplies(context);
+        const links = new Map(); // "a|b|type" -> { first declaration, shifted }
+
+        this.forEachConnection(context, (conn, dirPath, index, targetPath) => {
+            if (!targetPath || !types.includes(conn.type)) return;
+
+            const key = `${[dirPath, targetPath].sort().join('|')}|${conn.type}`;
+            if (!links.has(key)) {
+                links.set(key, { conn, dirPath, index, targetPath, shifted: false });
+            }
+            const text = `${conn.interface || ''} ${conn.description || ''}`;
+            links.get(key).shifted = links.get(key).shifted || levelShifting.test(text);
+        });
+
+        const violations = [];
+        links.forEach(link => {
+            if (link.shifted) return;
+
+            const here = this.getLogicVoltage(link.dirPath, supplies);
+            const there = this.getLogicVoltage(link.targetPath, supplies);
+            if (here === null || there === null || here === there) return;
+
+            violations.push({
+                modulePath: link.dirPath,
+                index: link.index,
+                message: `${link.conn.type} link to ${link.targetPath} joins ${this.formatVoltage(here)} and ${this.formatVoltage(there)} logic without level shifting`
+            });
+        });
+
+        return violations;
+    }
+
+    // Power rails into modules whose module.json declares a different supply
+    static checkSupplyVoltages(context) {
+        const violations = [];
+        const seen = new Set();
+
+        this.forEachConnection(context, (conn, dirPath, index, targetPath) => {
+            if (!targetPath || !PowerTree.isPowerConnection(conn)) return;
+
+            const rail = PowerTree.getRail(conn);
+            const voltage = PowerTree.getRailVoltage(rail);
+            if (voltage === null) return;
+
+            const { supplier, load } = PowerTree.getEnds(conn, dirPath, targetPath);
+            const metadata = context.metadataFiles.get(load);
+            const declared = ModuleMetadata.getSupplyVoltages(metadata);
+            if (declared.length === 0 || declared.includes(voltage)) return;
+
+            // Both ends usually declare the link, report it once
+            const key = `${rail}|${supplier}|${load}`;
+            if (seen.has(key)) return;
+            seen.add(key);
+
+            violations.push({
+                modulePath: dirPath,
+                index,
+                message: `${rail} rail from ${supplier} feeds ${load}, which declares a ${metadata.supplyVoltage} supply`
+            });
+        });
+
+        return violations;
+    }
+
+    // Supplies that deliver more than their declared capacity
+    static checkPowerBudget(context) {
+        const rails = PowerTree.build(context.connectionFiles, context.resolveTarget);
+        const budget = PowerBudget.create(rails, context.metadataFiles);
+
+        return budget.warnings.map(warning => ({
+            modulePath: warning.modulePath,
+            index: null,
+            message: warning.message
+        }));
+    }
+
+    // Bus links must carry every signal the bus needs
+    static checkBusSignals(context, options) {
+        const buses = options.buses && typeof options.buses === 'object' ? options.buses : {};
+        const violations = [];
+        const seen = new Set();
+
+        this.forEachConnection(context, (conn, dirPath, index, targetPath) => {
+            const bus = this.getBus(conn, Object.keys(buses));
+            if (!bus || !Array.isArray(buses[bus])) return;
+
+            const signals = this.getSignals(conn).map(signal => signal.toUpperCase());
+            const missing = buses[bus]
+                .map(names => [].concat(names))
+                .filter(names => !names.some(name => signals.includes(String(name).toUpperCase())));
+            if (missing.length === 0) return;
+
+            // Both ends usually declare the link, report it once
+            const key = targetPath ? `${[dirPath, targetPath].sort().join('|')}|${conn.type}` : `${dirPath}#${index}`;
+            if (seen.has(key)) return;
+            seen.add(key);
+
+            violations.push({
+                modulePath: dirPath,
+                index,
+                message: `${bus.toUpperCase()} link is missing ${missing.map(names => names.join('/')).join(', ')}`
+            });
+        });
+
+        return violations;
+    }
+
+    // "i2c_communication" -> i2c, otherwise a bus named in the interface, e.g. "CAN Bus"
+    static getBus(conn, busNames) {
+        const typeName = typeof conn.type === 'string' ? conn.type.toLowerCase().split('_')[0] : '';
+        if (busNames.includes(typeName)) return typeName;
+
+        const words = typeof conn.interface === 'string' ? conn.interface.toLowerCase().split(/[^a-z0-9]+/) : [];
+        return busNames.find(name => words.includes(name)) || null;
+    }
+
+    // A signal net (modules joined by links carrying the signal) may have one driver.
+    // Pin directions win over the connection's direction. A module that receives a
+    // signal and drives it on, like a buffer, starts a new net on its output side.
+    static checkMultipleDrivers(context, options) {
+        const ignored = new Set((Array.isArray(options.ignoreSignals) ? options.ignoreSignals : []).map(signal => String(signal).toUpperCase()));
+        const links = new Map(); // signal -> [{ dirPath, index, targetPath, driver }]
+
+        this.forEachConnection(context, (conn, dirPath, index, targetPath) => {
+            if (!targetPath || PowerTree.isPowerConnection(conn)) return;
+
+            const pins = Pinout.getPins(conn, dirPath, context.connectionFiles) || [];
+
+            this.getSignals(conn).forEach(signal => {
+                if (ignored.has(signal.toUpperCase())) return;
+
+                const pin = pins.find(item => item.signal === signal && item.direction);
+                const direction = pin ? pin.direction : conn.direction;
+                const driver = direction === 'out' ? dirPath : (direction === 'in' ? targetPath : null);
+
+                if (!links.has(signal)) links.set(signal, []);
+                links.get(signal).push({ dirPath, index, targetPath, driver });
+            });
+        });
+
+        const find = (parents, node) => {
+            while (parents.has(node) && parents.get(node) !== node) {
+                node = parents.get(node);
+            }
+            return node;
+        };
+
+        const violations = [];
+        links.forEach((signalLinks, signal) => {
+            const getReceiver = (link) => link.driver === link.dirPath ? link.targetPath : link.dirPath;
+            const receivers = new Set(signalLinks.filter(link => link.driver).map(getReceiver));
+            const getOutput = (path) => receivers.has(path) ? `${path}>` : path;
+
+            const parents = new Map();
+            const drivers = new Map(); // output node -> { driver, modulePath, index }
+            signalLinks.forEach(link => {
+                if (!link.driver) {
+                    parents.set(find(parents, link.dirPath), find(parents, link.targetPath));
+                    return;
+                }
+
+                const output = getOutput(link.driver);
+                parents.set(find(parents, output), find(parents, getReceiver(link)));
+                if (!drivers.has(output)) {
+                    drivers.set(output, { driver: link.driver, modulePath: link.dirPath, index: link.index });
+                }
+            });
+
+            const groups = new Map(); // net root -> driver declarations
+            drivers.forEach((declaration, output) => {
+                const root = find(parents, output);
+                if (!groups.has(root)) groups.set(root, []);
+                groups.get(root).push(declaration);
+            });
+
+            groups.forEach(declarations => {
+                if (declarations.length < 2) return;
+
+                const paths = declarations.map(declaration => declaration.driver).sort();
+                declarations.sort((a, b) => a.driver.localeCompare(b.driver)).forEach(declaration => {
+                    violations.push({
+                        modulePath: declaration.modulePath,
+                        index: declaration.index,
+                        message: `${signal} is driven by ${paths.length} modules on one net: ${paths.join(', ')}`
+                    });
+                });
+            });
+        });
+
+        return violations;
+    }
+}
+
+if (typeof module !== 'undefined') {
+    module.exports = ElectricalRules;
+}
@@ -0,0 +1,20 @@
+class FileSaver {
+    // Trigger a browser download for a Blob
+    static download(blob, fileName) {
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        // Give the browser a moment to start the download before releasing the URL
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    static downloadText(content, fileName, mimeType = 'text/plain') {
+        this.download(new Blob([content], { type: mimeType }), fileName);
+    }
+}
@@ -0,0 +1,108 @@
+class ForceLayout {
+    // Fruchterman-Reingold style simulation on box centers.
+    // Starts from a grid so results are stable between runs.
+    constructor(options = {}) {
+        this.iterations = options.iterations || 300;
+        this.idealLength = options.idealLength || 220;
+        this.gravity = options.gravity || 0.02;
+    }
+
+    layout(graph) {
+        const nodes = graph.nodes;
+        const index = new Map(nodes.map((node, i) => [node.id, i]));
+        const edges = graph.edges.filter(edge =>
+            edge.from !== edge.to && index.has(edge.from) && index.has(edge.to)
+        );
+
+        // Initial placement: fixed nodes where they are, the rest on a grid
+        const cols = Math.ceil(Math.sqrt(nodes.length));
+        const points = nodes.map((node, i) => {
+            if (node.fixed) {
+                return { x: node.fixed.x + node.width / 2, y: node.fixed.y + node.height / 2 };
+            }
+            return {
+                x: (i % cols) * this.idealLength + node.width / 2,
+                y: Math.floor(i / cols) * this.idealLength + node.height / 2
+            };
+        });
+
+        const k = this.idealLength;
+        let temperature = k;
+
+        for (let iteration = 0; iteration < this.iterations; iteration++) {
+            const forces = points.map(() => ({ x: 0, y: 0 }));
+
+            // Repulsion between every pair, measured between box edges
+            for (let i = 0; i < nodes.length; i++) {
+                for (let j = i + 1; j < nodes.length; j++) {
+                    let dx = points[i].x - points[j].x;
+                    let dy = points[i].y - points[j].y;
+                    if (dx === 0 && dy === 0) {
+                        dx = 1;
+                        dy = i - j;
+                    }
+                    const distance = Math.max(1, Math.sqrt(dx * dx + dy * dy) - this.getRadius(nodes[i]) - this.getRadius(nodes[j]));
+                    const force = (k * k) / distance;
+                    const length = Math.sqrt(dx * dx + dy * dy);
+                    forces[i].x += (dx / length) * force;
+                    forces[i].y += (dy / length) * force;
+                    forces[j].x -= (dx / length) * force;
+                    forces[j].y -= (dy / length) * force;
+                }
+            }
+
+            // Attraction along edges
+            edges.forEach(edge => {
+                const a = index.get(edge.from);
+                const b = index.get(edge.to);
+                const dx = points[a].x - points[b].x;
+                const dy = points[a].y - points[b].y;
+                const length = Math.max(1, Math.sqrt(dx * dx + dy * dy));
+                const force = (length * length) / k;
+                forces[a].x -= (dx / length) * force;
+                forces[a].y -= (dy / length) * force;
+                forces[b].x += (dx / length) * force;
+                forces[b].y += (dy / length) * force;
+            });
+
+            // Gravity keeps disconnected parts from drifting away
+            const center = this.getCenter(points);
+            points.forEach((point, i) => {
+                forces[i].x -= (point.x - center.x) * this.gravity * k / 10;
+                forces[i].y -= (point.y - center.y) * this.gravity * k / 10;
+            });
+
+            // Move free nodes, limited by the cooling temperature
+            nodes.forEach((node, i) => {
+                if (node.fixed) return;
+                const length = Math.sqrt(forces[i].x * forces[i].x + forces[i].y * forces[i].y);
+                if (length === 0) return;
+                const step = Math.min(length, temperature);
+                points[i].x += (forces[i].x / length) * step;
+                points[i].y += (forces[i].y / length) * step;
+            });
+
+            temperature = Math.max(1, temperature * 0.97);
+        }
+
+        const positions = new Map();
+        nodes.forEach((node, i) => {
+            positions.set(node.id, {
+                x: points[i].x - node.width / 2,
+                y: points[i].y - node.height / 2
+            });
+        });
+
+        // Only shift the frame when nothing is pinned to it
+        return nodes.some(node => node.fixed) ? positions : LayoutEngine.normalize(positions);
+    }
+
+    getRadius(node) {
+        return Math.min(node.width, node.height) / 2;
+    }
+
+    getCenter(points) {
+        const sum = points.reduce((total, point) => ({ x: total.x + point.x, y: total.y + point.y }), { x: 0, y: 0 });
+        return { x: sum.x / points.length, y: sum.y / points.length };
+    }
+}
@@ -0,0 +1,168 @@
+class LayeredLayout {
+    // Sugiyama-style layout flowing left to right:
+    // cycle removal, longest-path layering, barycenter ordering with dummy nodes
+    // for long edges, then coordinate assignment per layer.
+    constructor(options = {}) {
+        this.layerGap = options.layerGap || 120;
+        this.nodeGap = options.nodeGap || 40;
+        this.sweeps = options.sweeps || 8;
+    }
+
+    layout(graph) {
+        const ids = graph.nodes.map(node => node.id);
+        const nodeById = new Map(graph.nodes.map(node => [node.id, node]));
+
+        const edges = this.removeCycles(ids, graph.edges.filter(edge =>
+            edge.from !== edge.to && nodeById.has(edge.from) && nodeById.has(edge.to)
+        ));
+        const layerOf = this.assignLayers(ids, edges);
+        const layers = this.buildLayers(ids, edges, layerOf, nodeById);
+
+        this.orderLayers(layers);
+        return this.assignCoordinates(layers);
+    }
+
+    // Reverse the back edges found by a DFS so the graph becomes acyclic
+    removeCycles(ids, edges) {
+        const outgoing = new Map(ids.map(id => [id, []]));
+        edges.forEach(edge => outgoing.get(edge.from).push(edge.to));
+
+        const state = new Map(); // 1 = on stack, 2 = done
+        const backEdges = new Set();
+
+        const visit = (id) => {
+            state.set(id, 1);
+            outgoing.get(id).forEach(next => {
+                if (state.get(next) === 1) {
+                    backEdges.add(`${id}->${next}`);
+                } else if (!state.has(next)) {
+                    visit(next);
+                }
+            });
+            state.set(id, 2);
+        };
+        ids.forEach(id => {
+            if (!state.has(id)) visit(id);
+        });
+
+        const seen = new Set();
+        const result = [];
+        edges.forEach(edge => {
+            const reversed = backEdges.has(`${edge.from}->${edge.to}`);
+            const from = reversed ? edge.to : edge.from;
+            const to = reversed ? edge.from : edge.to;
+            const key = `${from}->${to}`;
+
+            // Reciprocal declarations collapse into one edge
+            if (!seen.has(key) && !seen.has(`${to}->${from}`)) {
+                seen.add(key);
+                result.push({ from, to });
+            }
+        });
+        return result;
+    }
+
+    // Longest path from the sources
+    assignLayers(ids, edges) {
+        const incoming = new Map(ids.map(id => [id, []]));
+        edges.forEach(edge => incoming.get(edge.to).push(edge.from));
+
+        const layerOf = new Map();
+        const getLayer = (id) => {
+            if (layerOf.has(id)) return layerOf.get(id);
+            layerOf.set(id, 0); // Guard, graph is acyclic by now
+            const layer = incoming.get(id).reduce((max, from) => Math.max(max, getLayer(from) + 1), 0);
+            layerOf.set(id, layer);
+            return layer;
+        };
+        ids.forEach(getLayer);
+
+        return layerOf;
+    }
+
+    buildLayers(ids, edges, layerOf, nodeById) {
+        const layerCount = Math.max(...ids.map(id => layerOf.get(id))) + 1;
+        const layers = Array.from({ length: layerCount }, () => []);
+        const entries = new Map();
+
+        ids.forEach(id => {
+            const node = nodeById.get(id);
+            const entry = { id, width: node.width, height: node.height, dummy: false, up: [], down: [] };
+            entries.set(id, entry);
+            layers[layerOf.get(id)].push(entry);
+        });
+
+        // Chain long edges through dummy nodes so every edge spans one layer
+        let dummyCount = 0;
+        edges.forEach(edge => {
+            let previous = entries.get(edge.from);
+            for (let layer = layerOf.get(edge.from) + 1; layer < layerOf.get(edge.to); layer++) {
+                const dummy = { id: `__dummy${dummyCount++}`, width: 0, height: 0, dummy: true, up: [], down: [] };
+                layers[layer].push(dummy);
+                previous.down.push(dummy);
+                dummy.up.push(previous);
+                previous = dummy;
+            }
+            const target = entries.get(edge.to);
+            previous.down.push(target);
+            target.up.push(previous);
+        });
+
+        return layers;
+    }
+
+    orderLayers(layers) {
+        const indexOf = (entry) => entry.layerIndex;
+        const reindex = (layer) => layer.forEach((entry, index) => { entry.layerIndex = index; });
+        layers.forEach(reindex);
+
+        const barycenter = (entry, neighbours) => {
+            if (neighbours.length === 0) return entry.layerIndex;
+            return neighbours.reduce((sum, neighbour) => sum + indexOf(neighbour), 0) / neighbours.length;
+        };
+
+        for (let sweep = 0; sweep < this.sweeps; sweep++) {
+            const downward = sweep % 2 === 0;
+            const order = downward ? layers.slice(1) : layers.slice(0, -1).reverse();
+
+            order.forEach(layer => {
+                const keys = new Map(layer.map(entry => [entry, barycenter(entry, downward ? entry.up : entry.down)]));
+                layer.sort((a, b) => keys.get(a) - keys.get(b));
+                reindex(layer);
+            });
+        }
+    }
+
+    assignCoordinates(layers) {
+        const positions = new Map();
+        const centers = new Map();
+        let x = 0;
+
+        layers.forEach(layer => {
+            const layerWidth = Math.max(0, ...layer.map(entry => entry.width));
+
+            // Stack the layer, then pull each entry towards its upstream neighbours
+            let y = 0;
+            layer.forEach(entry => {
+                let desired = y;
+                if (entry.up.length > 0) {
+                    const average = entry.up.reduce((sum, up) => sum + centers.get(up), 0) / entry.up.length;
+                    desired = Math.max(y, average - entry.height / 2);
+                }
+                entry.y = desired;
+                centers.set(entry, desired + entry.height / 2);
+                y = desired + entry.height + (entry.dummy ? this.nodeGap / 2 : this.nodeGap);
+            });
+
+            layer.forEach(entry => {
+                if (!entry.dummy) {
+                    positions.set(entry.id, { x: x + (layerWidth - entry.width) / 2, y: entry.y });
+                }
+            });
+
+            x += layerWidth + this.layerGap;
+        });
+
+        return LayoutEngine.normalize(positions);
+    }
+}
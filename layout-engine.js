@@ -0,0 +1,95 @@
+class LayoutEngine {
+    // Registry of layout algorithms. An algorithm is any object with
+    //   layout(graph, options) -> Map of node id -> { x, y }
+    // where graph is { nodes: [{ id, width, height, fixed? }], edges: [{ from, to }] }.
+    // Nodes with a "fixed" { x, y } must stay where they are.
+    constructor() {
+        this.algorithms = new Map();
+    }
+
+    register(name, algorithm) {
+        this.algorithms.set(name, algorithm);
+    }
+
+    has(name) {
+        return this.algorithms.has(name);
+    }
+
+    getNames() {
+        return Array.from(this.algorithms.keys());
+    }
+
+    run(name, graph, options = {}) {
+        const algorithm = this.algorithms.get(name);
+        if (!algorithm) {
+            throw new Error(`Unknown layout algorithm: ${name}`);
+        }
+
+        if (graph.nodes.length === 0) {
+            return new Map();
+        }
+
+        const positions = algorithm.layout(graph, options);
+
+        // Fixed nodes win over whatever the algorithm did
+        graph.nodes.forEach(node => {
+            if (node.fixed) {
+                positions.set(node.id, { x: node.fixed.x, y: node.fixed.y });
+            }
+        });
+
+        LayoutEngine.resolveOverlaps(graph.nodes, positions, options.spacing || 30);
+        return positions;
+    }
+
+    // Push free nodes away from anything they overlap, fixed nodes never move
+    static resolveOverlaps(nodes, positions, spacing) {
+        for (let iteration = 0; iteration < 50; iteration++) {
+            let moved = false;
+
+            for (let i = 0; i < nodes.length; i++) {
+                for (let j = i + 1; j < nodes.length; j++) {
+                    const a = nodes[i];
+                    const b = nodes[j];
+                    if (a.fixed && b.fixed) continue;
+
+                    const pa = positions.get(a.id);
+                    const pb = positions.get(b.id);
+
+                    const overlapX = Math.min(pa.x + a.width, pb.x + b.width) - Math.max(pa.x, pb.x) + spacing;
+                    const overlapY = Math.min(pa.y + a.height, pb.y + b.height) - Math.max(pa.y, pb.y) + spacing;
+                    if (overlapX <= 0 || overlapY <= 0) continue;
+
+                    // Move the free node along the axis that needs the smaller shift
+                    const mover = b.fixed ? a : b;
+                    const other = mover === a ? b : a;
+                    const pm = positions.get(mover.id);
+                    const po = positions.get(other.id);
+
+                    if (overlapX < overlapY) {
+                        pm.x += (pm.x + mover.width / 2 >= po.x + other.width / 2) ? overlapX : -overlapX;
+                    } else {
+                        pm.y += (pm.y + mover.height / 2 >= po.y + other.height / 2) ? overlapY : -overlapY;
+                    }
+                    moved = true;
+                }
+            }
+
+            if (!moved) break;
+        }
+    }
+
+    static normalize(positions) {
+        let minX = Infinity, minY = Infinity;
+        positions.forEach(pos => {
+            minX = Math.min(minX, pos.x);
+            minY = Math.min(minY, pos.y);
+        });
+
+        positions.forEach(pos => {
+            pos.x -= minX;
+            pos.y -= minY;
+        });
+        return positions;
+    }
+}
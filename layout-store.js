@@ -0,0 +1,100 @@
+class LayoutStore {
+    constructor(storage = window.localStorage) {
+        this.storage = storage;
+        this.keyPrefix = 'pcb-viewer:layout:';
+    }
+
+    static get VERSION() {
+        return 1;
+    }
+
+    static get FILE_NAME() {
+        return 'layout.json';
+    }
+
+    getKey(projectName) {
+        return this.keyPrefix + projectName;
+    }
+
+    // LOCAL STORAGE
+    save(projectName, layout) {
+        if (!projectName) return;
+
+        try {
+            this.storage.setItem(this.getKey(projectName), JSON.stringify(layout));
+        } catch (error) {
+            // Quota exceeded or storage disabled - layout just won't survive a reload
+            console.warn('Failed to save layout:', error);
+        }
+    }
+
+    load(projectName) {
+        if (!projectName) return null;
+
+        try {
+            const content = this.storage.getItem(this.getKey(projectName));
+            return content ? LayoutStore.parse(content) : null;
+        } catch (error) {
+            console.warn(`Ignoring stored layout for ${projectName}:`, error);
+            return null;
+        }
+    }
+
+    clear(projectName) {
+        this.storage.removeItem(this.getKey(projectName));
+    }
+
+    // SERIALIZATION
+    static create(projectName, modulePositions, expandedModules, camera, pinnedModules = new Set()) {
+        const positions = {};
+        modulePositions.forEach((position, path) => {
+            positions[path] = {
+                x: Math.round(position.x),
+                y: Math.round(position.y),
+                width: Math.round(position.width),
+                height: Math.round(position.height)
+            };
+        });
+
+        return {
+            version: LayoutStore.VERSION,
+            project: projectName,
+            camera: camera ? { x: camera.x, y: camera.y, zoom: camera.zoom } : null,
+            expanded: Array.from(expandedModules).sort(),
+            pinned: Array.from(pinnedModules).sort(),
+            positions: positions
+        };
+    }
+
+    static parse(content) {
+        const layout = JSON.parse(content);
+
+        if (!layout || typeof layout !== 'object') {
+            throw new Error('Layout must be a JSON object');
+        }
+        if (layout.version !== LayoutStore.VERSION) {
+            throw new Error(`Unsupported layout version: ${layout.version}`);
+        }
+        if (!layout.positions || typeof layout.positions !== 'object') {
+            throw new Error('Layout is missing "positions"');
+        }
+        if (!Array.isArray(layout.expanded)) {
+            throw new Error('Layout is missing "expanded"');
+        }
+
+        return layout;
+    }
+
+    static stringify(layout) {
+        return JSON.stringify(layout, null, 2) + '\n';
+    }
+
+    // FILE EXPORT
+    static download(layout, fileName = LayoutStore.FILE_NAME) {
+        FileSaver.downloadText(LayoutStore.stringify(layout), fileName, 'application/json');
+    }
+}
+
+if (typeof module !== 'undefined') {
+    module.exports = LayoutStore;
+}
@@ -0,0 +1,191 @@
+class LegacyImporter {
+    // Converts projects made for the old viewer (legacy/pcb-viewer.html), where every
+    // module folder holds a pointer.json with a "connects_to" list, into the
+    // connections.json schema. The old viewer matched targets by their last path
+    // segment only, so targets that don't resolve as paths are looked up by name.
+    static get FILE_NAME() {
+        return 'pointer.json';
+    }
+
+    // Legacy links carry no type, it is derived from the interface and signals
+    static get TYPE_RULES() {
+        return [
+            { type: 'spi_communication', pattern: /\bspi\b/i },
+            { type: 'i2c_communication', pattern: /\bi2c\b/i },
+            { type: 'uart_communication', pattern: /\buart\b|\bserial\b/i },
+            { type: 'can_communication', pattern: /\bcan\b/i },
+            { type: 'digital_io', pattern: /\bgpio\b|\bdigital\b/i },
+            { type: 'analog_signal', pattern: /\banalog\b/i },
+            { type: 'sensor_interface', pattern: /\bsensor\b/i },
+            { type: 'communication', pattern: /\bbus\b|\bcommunication\b|\bdata\b/i }
+        ];
+    }
+
+    static get DEFAULT_TYPE() {
+        return 'legacy';
+    }
+
+    static isLegacyFile(filePath) {
+        return filePath === this.FILE_NAME || filePath.endsWith(`/${this.FILE_NAME}`);
+    }
+
+    static isLegacyProject(entries) {
+        return Array.from(entries.keys()).some(filePath => this.isLegacyFile(filePath));
+    }
+
+    // entries: Map of project-relative file path -> File, as loadFileEntries takes them
+    // Returns {
+    //   entries: the same files plus a generated connections.json for every converted folder,
+    //   converted: directory paths whose connections.json came from a pointer.json,
+    //   problems: conversion warnings in ConnectionSchema problem form,
+    //   parseErrors: [{ filePath, message }] for pointer.json files that are not valid JSON
+    // }
+    static async convert(entries) {
+        const result = { entries: new Map(entries), converted: [], problems: [], parseErrors: [] };
+
+        const directories = new Set();
+        entries.forEach((file, filePath) => {
+            const parts = PathResolver.split(filePath);
+            for (let i = 1; i < parts.length; i++) {
+                directories.add(parts.slice(0, i).join('/'));
+            }
+        });
+
+        const pointerFiles = Array.from(entries.keys()).filter(filePath => this.isLegacyFile(filePath)).sort();
+
+        for (const filePath of pointerFiles) {
+            const dirPath = filePath.slice(0, -(this.FILE_NAME.length + 1));
+            const connectionsPath = `${dirPath}/connections.json`;
+
+            // A folder that was already migrated keeps its connections.json
+            if (entries.has(connectionsPath)) {
+                result.problems.push(this.createProblem(filePath, dirPath, null, null,
+                    `Ignored, ${connectionsPath} takes precedence`));
+                continue;
+            }
+
+            let pointerData;
+            try {
+                pointerData = JSON.parse(await entries.get(filePath).text());
+            } catch (error) {
+                result.parseErrors.push({ filePath, message: error.message });
+                continue;
+            }
+
+            const converted = this.convertFile(pointerData, dirPath, directories);
+            converted.problems.forEach(problem => {
+                result.problems.push(this.createProblem(filePath, dirPath, problem.index, problem.field, problem.message));
+            });
+
+            const content = ConnectionSchema.serialize(converted.connectionData);
+            result.entries.set(connectionsPath, new File([content], 'connections.json'));
+            result.converted.push(dirPath);
+        }
+
+        return result;
+    }
+
+    // Returns { connectionData, problems: [{ index, field, message }] }
+    static convertFile(pointerData, dirPath, directories) {
+        const problems = [];
+        const legacyConnections = pointerData && pointerData.connects_to !== undefined ? pointerData.connects_to : [];
+
+        // Modules without links may leave "connects_to" out
+        if (!Array.isArray(legacyConnections)) {
+            problems.push({ index: null, field: 'connects_to', message: '"connects_to" is not a list, no connections imported' });
+            return { connectionData: { connections: [] }, problems };
+        }
+
+        const connections = [];
+        legacyConnections.forEach((entry, index) => {
+            if (!entry || typeof entry !== 'object' || typeof entry.target !== 'string' || !entry.target.trim()) {
+                problems.push({ index, field: 'target', message: 'Skipped, the entry has no target' });
+                return;
+            }
+
+            const target = this.convertTarget(entry.target.trim(), dirPath, directories);
+            if (target.message) {
+                problems.push({ index, field: 'target', message: target.message });
+            }
+
+            const conn = {
+                target: target.value,
+                type: typeof entry.type === 'string' && entry.type ? entry.type : this.inferType(entry),
+                interface: typeof entry.interface === 'string' && entry.interface ? entry.interface : 'Unknown',
+                signals: this.convertSignals(entry.signals),
+                description: typeof entry.description === 'string' ? entry.description : ''
+            };
+            if (conn.type === this.DEFAULT_TYPE) {
+                problems.push({ index, field: 'type', message: `No type could be derived from "${conn.interface}", set to "${this.DEFAULT_TYPE}"` });
+            }
+
+            // Kept so planned and finished links stay distinguishable
+            if (typeof entry.status === 'string' && entry.status) {
+                conn.status = entry.status;
+            }
+
+            connections.push(conn);
+        });
+
+        return { connectionData: { connections }, problems };
+    }
+
+    // Returns { value, message } where message explains a target that needs checking
+    static convertTarget(target, dirPath, directories) {
+        const rootPath = PathResolver.getRoot(dirPath);
+        const resolved = PathResolver.resolve(dirPath, target, rootPath);
+        if (resolved && directories.has(resolved)) {
+            return { value: target, message: null };
+        }
+
+        // The old viewer only looked at the folder name
+        const name = PathResolver.split(target).pop();
+        const candidates = Array.from(directories).filter(path => path !== dirPath && PathResolver.split(path).pop() === name);
+        if (candidates.length === 0) {
+            return { value: target, message: `No module named "${name}" found, target kept as written` };
+        }
+
+        // Prefer the closest folder, the way siblings were matched on screen
+        const distance = (path) => PathResolver.relative(dirPath, path).split('/').length;
+        candidates.sort((a, b) => distance(a) - distance(b) || a.localeCompare(b));
+
+        const value = PathResolver.relative(dirPath, candidates[0]);
+        if (candidates.length > 1 && distance(candidates[0]) === distance(candidates[1])) {
+            return { value, message: `"${target}" matches several modules named "${name}", picked ${candidates[0]}` };
+        }
+        return { value, message: null };
+    }
+
+    static inferType(entry) {
+        const signals = this.convertSignals(entry.signals);
+
+        // A supply voltage among the signals makes it a power link, e.g. "5V" -> 5V_power
+        const voltage = signals.find(signal => /^\d+(\.\d+)?V$/i.test(signal));
+        if (voltage) {
+            return `${voltage.toUpperCase()}_power`;
+        }
+
+        const text = `${entry.interface || ''} ${entry.description || ''}`;
+        if (/\bpower\b/i.test(text)) {
+            return 'legacy_power';
+        }
+
+        const rule = this.TYPE_RULES.find(item => item.pattern.test(text));
+        return rule ? rule.type : this.DEFAULT_TYPE;
+    }
+
+    // Signals were either a list or one comma separated string
+    static convertSignals(signals) {
+        if (Array.isArray(signals)) {
+            return signals.filter(signal => signal !== null && signal !== undefined).map(signal => String(signal).trim()).filter(Boolean);
+        }
+        if (typeof signals === 'string') {
+            return signals.split(/[,;]/).map(signal => signal.trim()).filter(Boolean);
+        }
+        return [];
+    }
+
+    static createProblem(filePath, modulePath, index, field, message) {
+        return { severity: 'warning', filePath, modulePath, index, field, message };
+    }
+}
@@ -0,0 +1,126 @@
+class ModuleMetadata {
+    // Optional module.json next to connections.json, describing the part a module
+    // stands for. Every field is optional. Currents are in amperes, either one number
+    // or one per rail, e.g. { "24V": 1.5, "5V": 0.2 }.
+    static get FILE_NAME() {
+        return 'module.json';
+    }
+
+    static get FIELDS() {
+        return {
+            type: { label: 'Type', type: 'string' },
+            partNumber: { label: 'Part number', type: 'string' },
+            manufacturer: { label: 'Manufacturer', type: 'string' },
+            package: { label: 'Package', type: 'string' },
+            supplyVoltage: { label: 'Supply voltage', type: 'string' },
+            currentDraw: { label: 'Current draw', type: 'current' },
+            supplyCapacity: { label: 'Supply capacity', type: 'current' },
+            quantity: { label: 'Quantity', type: 'number' },
+            cost: { label: 'Unit cost', type: 'number' },
+            datasheet: { label: 'Datasheet', type: 'string' },
+            notes: { label: 'Notes', type: 'string' }
+        };
+    }
+
+    // Problems are { severity, filePath, modulePath, index, field, message }, like ConnectionSchema's
+    static validate(data, filePath) {
+        const problems = [];
+        const modulePath = filePath.slice(0, filePath.lastIndexOf('/'));
+        const report = (severity, field, message) => {
+            problems.push({ severity, filePath, modulePath, index: null, field, message });
+        };
+
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            report('error', null, 'Expected an object with module details');
+            return problems;
+        }
+
+        const fields = this.FIELDS;
+        Object.keys(data).forEach(field => {
+            const value = data[field];
+
+            if (!fields[field]) {
+                report('warning', field, `Unknown field "${field}"`);
+                return;
+            }
+
+            if (fields[field].type === 'current') {
+                if (!this.isCurrent(value)) {
+                    report('error', field, `"${field}" must be amperes of zero or more, or an object of rail -> amperes`);
+                }
+                return;
+            }
+
+            if (typeof value !== fields[field].type) {
+                report('error', field, `"${field}" must be a ${fields[field].type}`);
+                return;
+            }
+
+            if (field === 'type' && !ModuleTypes.isType(value)) {
+                report('error', field, `"type" must be one of ${Object.keys(ModuleTypes.TYPES).join(', ')}`);
+            } else if (field === 'quantity' && (!Number.isInteger(value) || value < 0)) {
+                report('error', field, '"quantity" must be a whole number of zero or more');
+            } else if (field === 'cost' && (!Number.isFinite(value) || value < 0)) {
+                report('error', field, '"cost" must be zero or more');
+            } else if (field === 'supplyVoltage' && this.getSupplyVoltages(data).length === 0) {
+                report('error', field, '"supplyVoltage" must be a voltage like "3.3V", or several like "24V, 5V"');
+            } else if (field === 'datasheet' && !this.isWebLink(value)) {
+                report('warning', field, '"datasheet" should be an http(s) URL');
+            }
+        });
+
+        return problems;
+    }
+
+    // A module stands for one part unless it says otherwise
+    static getQuantity(data) {
+        return data && Number.isInteger(data.quantity) && data.quantity >= 0 ? data.quantity : 1;
+    }
+
+    static getCost(data) {
+        return data && Number.isFinite(data.cost) && data.cost >= 0 ? data.cost : null;
+    }
+
+    // "24V, 5V" -> [24, 5]; nothing when any part is not a voltage
+    static getSupplyVoltages(data) {
+        if (!data || typeof data.supplyVoltage !== 'string') return [];
+
+        const parts = data.supplyVoltage.split(/[,;\/]/).map(part => part.trim());
+        if (!parts.every(part => /^\d+(\.\d+)?V$/i.test(part))) return [];
+        return parts.map(part => parseFloat(part));
+    }
+
+    static isCurrent(value) {
+        const isAmperes = (amperes) => Number.isFinite(amperes) && amperes >= 0;
+        if (value && typeof value === 'object' && !Array.isArray(value)) {
+            return Object.keys(value).every(rail => isAmperes(value[rail]));
+        }
+        return isAmperes(value);
+    }
+
+    // The amperes of a current field on one rail. A single number only counts
+    // when that rail is the module's only one (onlyRail).
+    static getRailCurrent(value, rail, onlyRail) {
+        if (!this.isCurrent(value)) return null;
+        if (typeof value === 'number') return onlyRail ? value : null;
+
+        const key = Object.keys(value).find(name => name.toUpperCase() === rail.toUpperCase());
+        return key === undefined ? null : value[key];
+    }
+
+    static formatCurrent(amperes) {
+        return amperes < 1 ? `${Math.round(amperes * 1000)} mA` : `${amperes.toFixed(2)} A`;
+    }
+
+    static isWebLink(value) {
+        return typeof value === 'string' && /^https?:\/\/[^\s"'<>]+$/i.test(value);
+    }
+
+    static formatCost(value) {
+        return value === null ? '' : value.toFixed(2);
+    }
+}
+
+if (typeof module !== 'undefined') {
+    module.exports = ModuleMetadata;
+}
@@ -0,0 +1,56 @@
+class ModuleTypes {
+    // What kind of thing a module is. Declared with "type" in module.json, otherwise
+    // guessed from the directory name. The type picks the block color, the icon and
+    // the kind: search filter.
+    static get TYPES() {
+        return {
+            board: { label: 'Board', icon: '▦', color: '#ff5722', lightColor: '#f4511e' },
+            subsystem: { label: 'Subsystem', icon: '◫', color: '#29b6f6', lightColor: '#039be5' },
+            ic: { label: 'IC', icon: '▣', color: '#4caf50', lightColor: '#43a047' },
+            connector: { label: 'Connector', icon: '⇌', color: '#8d6e63', lightColor: '#6d4c41' },
+            sensor: { label: 'Sensor', icon: '◉', color: '#26a69a', lightColor: '#00897b' },
+            power_stage: { label: 'Power stage', icon: '⚡', color: '#ffa726', lightColor: '#fb8c00' }
+        };
+    }
+
+    static get DEFAULT_TYPE() {
+        return 'subsystem';
+    }
+
+    static isType(value) {
+        return typeof value === 'string' && Object.prototype.hasOwnProperty.call(this.TYPES, value);
+    }
+
+    // Returns { type, declared } for a module directory name and its parsed module.json
+    static resolve(name, metadata) {
+        if (metadata && this.isType(metadata.type)) {
+            return { type: metadata.type, declared: true };
+        }
+        return { type: this.guess(name), declared: false };
+    }
+
+    // Fallback for modules without a declared type
+    static guess(name) {
+        if (name.includes('pcb')) return 'board';
+        if (name.includes('connector')) return 'connector';
+        if (name.includes('sensor')) return 'sensor';
+        if (name.includes('controller') || name.includes('mcu')) return 'ic';
+        return this.DEFAULT_TYPE;
+    }
+
+    static get(type) {
+        return this.TYPES[type] || this.TYPES[this.DEFAULT_TYPE];
+    }
+
+    static getLabel(type) {
+        return this.get(type).label;
+    }
+
+    static getIcon(type) {
+        return this.get(type).icon;
+    }
+}
+
+if (typeof module !== 'undefined') {
+    module.exports = ModuleTypes;
+}
@@ -0,0 +1,141 @@
+class NetTracer {
+    // Direction of a connection as seen from the module that declares it.
+    // An explicit "direction" field wins, otherwise the description is read:
+    // "input from X" and "supply for X" point inwards, "supply to X" points outwards.
+    static getDirection(conn) {
+        if (conn.direction === 'in' || conn.direction === 'out' || conn.direction === 'bidirectional') {
+            return conn.direction;
+        }
+
+        const description = (conn.description || '').toLowerCase();
+        if (/\b(input|from)\b|\bsupply for\b/.test(description)) return 'in';
+        if (/\b(output|supply|to)\b/.test(description)) return 'out';
+        return 'bidirectional';
+    }
+
+    // Collect every connection carrying the signal and walk it from its sources.
+    // connectionFiles: Map of directory path -> parsed connections.json
+    // resolveTarget: connection -> resolved module path, or null
+    static trace(signal, connectionFiles, resolveTarget) {
+        const connections = new Set();
+        const edges = new Map(); // "from->to" -> { from, to, connections, directed }
+
+        const addEdge = (from, to, conn, directed) => {
+            const key = `${from}->${to}`;
+            if (!edges.has(key)) {
+                edges.set(key, { from, to, connections: [], directed: false });
+            }
+            const edge = edges.get(key);
+            edge.connections.push(conn);
+            edge.directed = edge.directed || directed;
+        };
+
+        connectionFiles.forEach((connectionData, dirPath) => {
+            if (!connectionData || !Array.isArray(connectionData.connections)) return;
+
+            connectionData.connections.forEach(conn => {
+                if (!Array.isArray(conn.signals) || !conn.signals.includes(signal)) return;
+
+                const targetPath = resolveTarget(conn);
+                if (!targetPath || targetPath === dirPath) return;
+
+                connections.add(conn);
+
+                const direction = this.getDirection(conn);
+                if (direction === 'out') {
+                    addEdge(dirPath, targetPath, conn, true);
+                } else if (direction === 'in') {
+                    addEdge(targetPath, dirPath, conn, true);
+                } else {
+                    addEdge(dirPath, targetPath, conn, false);
+                    addEdge(targetPath, dirPath, conn, false);
+                }
+            });
+        });
+
+        const nodes = new Set();
+        const outgoing = new Map();
+        const directedIncoming = new Map();
+
+        edges.forEach(edge => {
+            nodes.add(edge.from);
+            nodes.add(edge.to);
+
+            if (!outgoing.has(edge.from)) outgoing.set(edge.from, []);
+            outgoing.get(edge.from).push(edge);
+
+            if (edge.directed) {
+                directedIncoming.set(edge.to, (directedIncoming.get(edge.to) || 0) + 1);
+            }
+        });
+
+        const sources = this.findSources(nodes, edges, directedIncoming);
+        const paths = this.findPaths(sources, outgoing);
+
+        // Modules only reachable against the declared direction
+        const reached = new Set(sources);
+        paths.forEach(path => path.forEach(node => reached.add(node)));
+        const unreached = Array.from(nodes).filter(node => !reached.has(node)).sort();
+
+        return {
+            signal: signal,
+            nodes: nodes,
+            connections: connections,
+            sources: sources,
+            paths: paths,
+            unreached: unreached
+        };
+    }
+
+    static findSources(nodes, edges, directedIncoming) {
+        // Modules that drive the net without being driven by anything
+        const drivers = new Set();
+        edges.forEach(edge => {
+            if (edge.directed) drivers.add(edge.from);
+        });
+
+        let sources = Array.from(drivers).filter(node => !directedIncoming.has(node));
+
+        // Pure loops or undirected nets: fall back to any driver, then to any node
+        if (sources.length === 0) sources = Array.from(drivers);
+        if (sources.length === 0 && nodes.size > 0) sources = [Array.from(nodes).sort()[0]];
+
+        return sources.sort();
+    }
+
+    // Shortest path from the nearest source to every other module on the net
+    static findPaths(sources, outgoing) {
+        const previous = new Map();
+        const queue = [...sources];
+        sources.forEach(source => previous.set(source, null));
+
+        while (queue.length > 0) {
+            const node = queue.shift();
+            (outgoing.get(node) || []).forEach(edge => {
+                if (!previous.has(edge.to)) {
+                    previous.set(edge.to, node);
+                    queue.push(edge.to);
+                }
+            });
+        }
+
+        const paths = [];
+        previous.forEach((prev, node) => {
+            if (prev === null) return;
+
+            const path = [node];
+            let current = prev;
+            while (current !== null) {
+                path.unshift(current);
+                current = previous.get(current);
+            }
+            paths.push(path);
+        });
+
+        return paths.sort((a, b) => a.join('/').localeCompare(b.join('/')));
+    }
+}
+
+if (typeof module !== 'undefined') {
+    module.exports = NetTracer;
+}
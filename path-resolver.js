@@ -0,0 +1,71 @@
+class PathResolver {
+    // Split a slash-separated path into its non-empty segments
+    static split(path) {
+        return (path || '').split('/').filter(part => part && part !== '.');
+    }
+
+    // Collapse "." and ".." segments. Returns null if the path climbs above its root.
+    static normalize(path) {
+        const result = [];
+
+        for (let part of (path || '').split('/')) {
+            if (!part || part === '.') continue;
+
+            if (part === '..') {
+                if (result.length === 0) return null;
+                result.pop();
+            } else {
+                result.push(part);
+            }
+        }
+
+        return result.join('/');
+    }
+
+    static isRelative(target) {
+        return target === '.' || target === '..' || target.startsWith('./') || target.startsWith('../');
+    }
+
+    // Resolve a connection target declared in sourceDir.
+    // "./x" and "../x" are relative to the declaring directory,
+    // bare paths like "pcb2-low-power-board/communication-hub" are relative to the project root.
+    static resolve(sourceDir, target, rootPath) {
+        if (typeof target !== 'string' || !target.trim()) return null;
+
+        const trimmed = target.trim();
+        const base = this.isRelative(trimmed) ? sourceDir : rootPath;
+
+        return this.normalize(base ? `${base}/${trimmed}` : trimmed);
+    }
+
+    // Build the relative target string that leads from one directory to another
+    static relative(fromDir, toDir) {
+        const fromParts = this.split(fromDir);
+        const toParts = this.split(toDir);
+
+        let common = 0;
+        while (common < fromParts.length && common < toParts.length && fromParts[common] === toParts[common]) {
+            common++;
+        }
+
+        const ups = fromParts.slice(common).map(() => '..');
+        const downs = toParts.slice(common);
+
+        if (ups.length === 0) {
+            return ['.', ...downs].join('/');
+        }
+        return [...ups, ...downs].join('/');
+    }
+
+    static getRoot(path) {
+        return this.split(path)[0] || '';
+    }
+
+    static isAncestor(ancestorPath, path) {
+        return path.startsWith(ancestorPath + '/');
+    }
+}
+
+if (typeof module !== 'undefined') {
+    module.exports = PathResolver;
+}
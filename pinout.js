@@ -0,0 +1,120 @@
+class Pinout {
+    // Pin-level detail for links that run through a physical connector. A connection
+    // either lists its own "pinout" or names a connector with "connector": "J1" for
+    // one in the declaring module's "connectors" list, "../other-board#J2" for one
+    // declared by another module. Pin directions are seen from the module that
+    // writes them down, so two mating pinouts read out/in where the wire goes.
+    static get REFERENCE_SEPARATOR() {
+        return '#';
+    }
+
+    static get OPPOSITE_DIRECTIONS() {
+        return { in: 'out', out: 'in', bidirectional: 'bidirectional' };
+    }
+
+    // "J1" -> { target: null, id: 'J1' }, "../pcb2#J4" -> { target: '../pcb2', id: 'J4' }
+    static parseReference(reference) {
+        const index = reference.lastIndexOf(this.REFERENCE_SEPARATOR);
+        if (index === -1) {
+            return { target: null, id: reference };
+        }
+        return { target: reference.slice(0, index), id: reference.slice(index + 1) };
+    }
+
+    static findConnector(connectionData, id) {
+        if (!connectionData || !Array.isArray(connectionData.connectors)) return null;
+        return connectionData.connectors.find(connector => connector && connector.id === id) || null;
+    }
+
+    // Returns { modulePath, connector } or null when the reference leads nowhere
+    static resolveConnector(dirPath, reference, connectionFiles) {
+        const { target, id } = this.parseReference(reference);
+        const modulePath = target === null ?
+            dirPath :
+            PathResolver.resolve(dirPath, target, PathResolver.getRoot(dirPath));
+        if (!modulePath) return null;
+
+        const connector = this.findConnector(connectionFiles.get(modulePath), id);
+        return connector ? { modulePath, connector } : null;
+    }
+
+    // The pins of a connection as seen from dirPath, or null when it has none.
+    // Its own "pinout" wins over the one of the connector it names. A connector
+    // usually carries several links, so only the pins of this link's signals count.
+    static getPins(conn, dirPath, connectionFiles) {
+        if (Array.isArray(conn.pinout)) {
+            return this.normalize(conn.pinout);
+        }
+        if (typeof conn.connector !== 'string') return null;
+
+        const resolved = this.resolveConnector(dirPath, conn.connector, connectionFiles);
+        if (!resolved || !Array.isArray(resolved.connector.pinout)) return null;
+
+        const signals = Array.isArray(conn.signals) ? conn.signals : [];
+        const pins = this.normalize(resolved.connector.pinout).filter(pin => signals.includes(pin.signal));
+        if (resolved.modulePath === dirPath) return pins;
+
+        // Another module's connector lists its pins the way that module sees them
+        return pins.map(pin => ({ ...pin, direction: this.flipDirection(pin.direction) }));
+    }
+
+    // Skips malformed entries, ConnectionSchema reports those
+    static normalize(pinout) {
+        return pinout
+            .filter(pin => pin && typeof pin === 'object' && (typeof pin.pin === 'string' || typeof pin.pin === 'number'))
+            .map(pin => ({
+                pin: String(pin.pin),
+                signal: typeof pin.signal === 'string' ? pin.signal : '',
+                direction: typeof pin.direction === 'string' ? pin.direction : null,
+                voltage: typeof pin.voltage === 'string' ? pin.voltage : null
+            }));
+    }
+
+    static flipDirection(direction) {
+        return this.OPPOSITE_DIRECTIONS[direction] || direction;
+    }
+
+    // Compares the pin maps of the two ends of a link, both as seen from their own end.
+    // Returns [{ pin, severity, message }], one entry per pin that disagrees.
+    static compare(pinsA, pinsB) {
+        const byPinB = new Map(pinsB.map(pin => [pin.pin, pin]));
+        const byPinA = new Map(pinsA.map(pin => [pin.pin, pin]));
+        const mismatches = [];
+
+        pinsA.forEach(a => {
+            const b = byPinB.get(a.pin);
+            if (!b) {
+                mismatches.push({ pin: a.pin, severity: 'warning', message: `pin ${a.pin} (${a.signal}) is missing on the other end` });
+                return;
+            }
+
+            const differences = [];
+            if (a.signal !== b.signal) {
+                differences.push(`carries ${a.signal} here, ${b.signal} there`);
+            }
+            // Unknown directions can't disagree
+            if (a.direction && b.direction && this.flipDirection(a.direction) !== b.direction) {
+                differences.push(a.direction === b.direction ?
+                    `is ${a.direction} on both ends` :
+                    `is ${a.direction} here, ${b.direction} there`);
+            }
+            if (a.voltage && b.voltage && a.voltage !== b.voltage) {
+                differences.push(`is at ${a.voltage} here, ${b.voltage} there`);
+            }
+
+            if (differences.length > 0) {
+                mismatches.push({ pin: a.pin, severity: 'error', message: `pin ${a.pin} ${differences.join(' and ')}` });
+            }
+        });
+
+        pinsB.filter(b => !byPinA.has(b.pin)).forEach(b => {
+            mismatches.push({ pin: b.pin, severity: 'warning', message: `pin ${b.pin} (${b.signal}) is only on the other end` });
+        });
+
+        return mismatches;
+    }
+}
+
+if (typeof module !== 'undefined') {
+    module.exports = Pinout;
+}
@@ -0,0 +1,194 @@
+class PowerBudget {
+    // Sums the current drawn along the power rails of a PowerTree. Loads declare
+    // "currentDraw" and supplies "supplyCapacity" in module.json. A module that
+    // supplies one rail from another, like a regulator, draws what it passes on
+    // from its input rail, converted at the two rail voltages without losses.
+
+    // rails: PowerTree.build result
+    // metadataFiles: Map of directory path -> parsed module.json
+    // Returns {
+    //   rails: [{ name, voltage, load, capacity, utilization, undeclared }],
+    //   nodes: Map of "<rail>:<path>" -> { path, rail, load, own, supplied, capacity, utilization, over },
+    //   connections: Map of power connection -> { rail, current }, shared by the declarations of one link,
+    //   warnings: [{ modulePath, rail, message }]
+    // }
+    static create(rails, metadataFiles) {
+        const children = new Map(); // "<rail>:<path>" -> child paths
+        const inputRails = new Map(); // path -> rails it draws from
+        const outputRails = new Map(); // path -> rails it supplies
+        const edges = [];
+
+        const addTo = (map, path, rail) => {
+            if (!map.has(path)) map.set(path, []);
+            if (!map.get(path).includes(rail)) map.get(path).push(rail);
+        };
+
+        rails.forEach(rail => {
+            const visit = (treeNode) => {
+                children.set(`${rail.name}:${treeNode.path}`, treeNode.children.map(child => child.path));
+                if (treeNode.edge) {
+                    addTo(inputRails, treeNode.path, rail.name);
+                    edges.push({ rail: rail.name, path: treeNode.path, connections: treeNode.edge.connections });
+                }
+                if (treeNode.children.length > 0 || !treeNode.edge) {
+                    addTo(outputRails, treeNode.path, rail.name);
+                }
+                treeNode.children.forEach(visit);
+            };
+            rail.roots.forEach(visit);
+        });
+
+        const warnings = [];
+        const getDraw = (path, rail) => {
+            const inputs = inputRails.get(path) || [];
+            const value = metadataFiles.get(path) ? metadataFiles.get(path).currentDraw : undefined;
+            return ModuleMetadata.getRailCurrent(value, rail, inputs.length === 1 && inputs[0] === rail);
+        };
+        const getCapacity = (path, rail) => {
+            const outputs = outputRails.get(path) || [];
+            const value = metadataFiles.get(path) ? metadataFiles.get(path).supplyCapacity : undefined;
+            return ModuleMetadata.getRailCurrent(value, rail, outputs.length === 1 && outputs[0] === rail);
+        };
+
+        // A converter feeds its outputs from its highest voltage input
+        const getPowerInput = (path) => {
+            const inputs = (inputRails.get(path) || []).filter(rail => PowerTree.getRailVoltage(rail) !== null);
+            return inputs.sort((a, b) => PowerTree.getRailVoltage(b) - PowerTree.getRailVoltage(a))[0] || null;
+        };
+
+        const loads = new Map();
+        const inProgress = new Set();
+
+        const getSupplied = (path, rail) => (children.get(`${rail}:${path}`) || [])
+            .reduce((sum, child) => sum + getLoad(child, rail), 0);
+
+        const getOwn = (path, rail) => {
+            let own = getDraw(path, rail) || 0;
+            if (getPowerInput(path) !== rail) return own;
+
+            const voltage = PowerTree.getRailVoltage(rail);
+            (outputRails.get(path) || []).forEach(output => {
+                const outputVoltage = PowerTree.getRailVoltage(output);
+                if (output === rail || outputVoltage === null) return;
+                own += getSupplied(path, output) * outputVoltage / voltage;
+            });
+            return own;
+        };
+
+        const getLoad = (path, rail) => {
+            const key = `${rail}:${path}`;
+            if (loads.has(key)) return loads.get(key);
+            // Rails that feed each other in a loop are only summed once
+            if (inProgress.has(key)) return 0;
+
+            inProgress.add(key);
+            const load = getOwn(path, rail) + getSupplied(path, rail);
+            inProgress.delete(key);
+
+            loads.set(key, load);
+            return load;
+        };
+
+        const nodes = new Map();
+        const result = rails.map(rail => {
+            let undeclared = 0;
+
+            const visit = (treeNode) => {
+                const supplied = getSupplied(treeNode.path, rail.name);
+                const capacity = getCapacity(treeNode.path, rail.name);
+                const node = {
+                    path: treeNode.path,
+                    rail: rail.name,
+                    load: getLoad(treeNode.path, rail.name),
+                    own: treeNode.edge ? getOwn(treeNode.path, rail.name) : 0,
+                    supplied,
+                    capacity,
+                    utilization: capacity ? supplied / capacity : null,
+                    over: capacity !== null && supplied > capacity
+                };
+                nodes.set(`${rail.name}:${treeNode.path}`, node);
+
+                // Leaves have to say what they draw, suppliers are covered by their loads
+                if (treeNode.edge && treeNode.children.length === 0 && getDraw(treeNode.path, rail.name) === null) {
+                    undeclared++;
+                }
+
+                if (node.over) {
+                    warnings.push({
+                        modulePath: treeNode.path,
+                        rail: rail.name,
+                        message: `Supplies ${ModuleMetadata.formatCurrent(supplied)} on the ${rail.name} rail, over its ${ModuleMetadata.formatCurrent(capacity)} capacity`
+                    });
+                }
+
+                treeNode.children.forEach(visit);
+            };
+            rail.roots.forEach(visit);
+
+            const rootNodes = rail.roots.map(root => nodes.get(`${rail.name}:${root.path}`));
+            const load = rootNodes.reduce((sum, node) => sum + node.supplied, 0);
+            const capacities = rootNodes.map(node => node.capacity).filter(capacity => capacity !== null);
+            const capacity = capacities.length > 0 ? capacities.reduce((sum, value) => sum + value, 0) : null;
+
+            return {
+                name: rail.name,
+                voltage: PowerTree.getRailVoltage(rail.name),
+                load,
+                capacity,
+                utilization: capacity ? load / capacity : null,
+                undeclared
+            };
+        });
+
+        const connections = new Map();
+        edges.forEach(edge => {
+            // Both declarations of a link share one entry, so a link is only counted once
+            const entry = { rail: edge.rail, current: getLoad(edge.path, edge.rail) };
+            edge.connections.forEach(conn => connections.set(conn, entry));
+        });
+
+        return { rails: result, nodes, connections, warnings };
+    }
+
+    // Per board and rail: what the board's modules draw, and what its supplies deliver.
+    // getBoard: module path -> board path, or null
+    // Returns [{ path, rail, draw, supplied, capacity, utilization }]
+    static getBoards(budget, getBoard) {
+        const rows = new Map();
+        const getRow = (path, rail) => {
+            const key = `${path}\n${rail}`;
+            if (!rows.has(key)) {
+                rows.set(key, { path, rail, draw: 0, supplied: 0, capacity: null, utilization: null });
+            }
+            return rows.get(key);
+        };
+
+        budget.nodes.forEach(node => {
+            const board = getBoard(node.path);
+            if (!board) return;
+
+            const row = getRow(board, node.rail);
+            row.draw += node.own;
+
+            // Only supplies that declare a capacity have a utilization
+            if (node.capacity !== null) {
+                row.supplied += node.supplied;
+                row.capacity = (row.capacity || 0) + node.capacity;
+            }
+        });
+
+        // Boards that only pass a rail through without declaring anything are left out
+        return Array.from(rows.values()).filter(row => row.draw > 0 || row.capacity !== null).map(row => ({
+            ...row,
+            utilization: row.capacity ? row.supplied / row.capacity : null
+        })).sort((a, b) => a.path.localeCompare(b.path) || a.rail.localeCompare(b.rail));
+    }
+
+    static formatUtilization(utilization) {
+        return utilization === null ? '' : `${Math.round(utilization * 100)}%`;
+    }
+}
+
+if (typeof module !== 'undefined') {
+    module.exports = PowerBudget;
+}
@@ -0,0 +1,226 @@
+class PowerTree {
+    static get POWER_TYPES() {
+        return ['5V_power', '24V_power', 'motor_power'];
+    }
+
+    static isPowerConnection(conn) {
+        return typeof conn.type === 'string' &&
+            (this.POWER_TYPES.includes(conn.type) || /_power$/i.test(conn.type));
+    }
+
+    // Rail name for a power connection: "5V" for 5V_power, "Motor" for motor_power,
+    // otherwise the first voltage-looking signal
+    static getRail(conn) {
+        const match = conn.type.match(/^(\d+(?:\.\d+)?V)_power$/i);
+        if (match) return match[1].toUpperCase();
+
+        const voltageSignal = (Array.isArray(conn.signals) ? conn.signals : [])
+            .find(signal => /^\d+(\.\d+)?V$/i.test(signal));
+        if (voltageSignal) return voltageSignal.toUpperCase();
+
+        const name = conn.type.replace(/_power$/i, '');
+        return name.charAt(0).toUpperCase() + name.slice(1);
+    }
+
+    static getRailVoltage(rail) {
+        const match = rail.match(/^(\d+(?:\.\d+)?)V$/);
+        return match ? parseFloat(match[1]) : null;
+    }
+
+    // Undirected power links are read as "the declaring module supplies the target"
+    static getEnds(conn, dirPath, targetPath) {
+        const drawsPower = NetTracer.getDirection(conn) === 'in';
+        return {
+            supplier: drawsPower ? targetPath : dirPath,
+            load: drawsPower ? dirPath : targetPath,
+            drawsPower
+        };
+    }
+
+    // Build one supply tree per rail from the power-typed connections.
+    // connectionFiles: Map of directory path -> parsed connections.json
+    // resolveTarget: connection -> resolved module path, or null
+    static build(connectionFiles, resolveTarget) {
+        const rails = new Map(); // rail -> { edges: Map("supplier->load" -> edge), declaredSources: Set }
+
+        const getRail = (name) => {
+            if (!rails.has(name)) {
+                rails.set(name, { edges: new Map(), declaredSources: new Set() });
+            }
+            return rails.get(name);
+        };
+
+        connectionFiles.forEach((connectionData, dirPath) => {
+            if (!connectionData || !Array.isArray(connectionData.connections)) return;
+
+            connectionData.connections.forEach(conn => {
+                if (!this.isPowerConnection(conn)) return;
+
+                const targetPath = resolveTarget(conn);
+                if (!targetPath || targetPath === dirPath) return;
+
+                const rail = getRail(this.getRail(conn));
+                const { supplier, load, drawsPower } = this.getEnds(conn, dirPath, targetPath);
+
+                if (!drawsPower) {
+                    rail.declaredSources.add(supplier);
+                }
+
+                const key = `${supplier}->${load}`;
+                if (!rail.edges.has(key)) {
+                    rail.edges.set(key, { supplier, load, connections: [], declaredBySupplier: false });
+                }
+                const edge = rail.edges.get(key);
+                edge.connections.push(conn);
+                edge.declaredBySupplier = edge.declaredBySupplier || !drawsPower;
+            });
+        });
+
+        const result = Array.from(rails.entries()).map(([name, rail]) => this.buildRail(name, rail));
+
+        // Numeric rails in ascending voltage first, named rails after
+        result.sort((a, b) => {
+            const va = this.getRailVoltage(a.name);
+            const vb = this.getRailVoltage(b.name);
+            if (va !== null && vb !== null) return va - vb;
+            if (va !== null) return -1;
+            if (vb !== null) return 1;
+            return a.name.localeCompare(b.name);
+        });
+
+        return result;
+    }
+
+    static buildRail(name, rail) {
+        const loadsBySupplier = new Map();
+        const isLoad = new Set();
+        const warnings = [];
+
+        rail.edges.forEach(edge => {
+            if (!loadsBySupplier.has(edge.supplier)) loadsBySupplier.set(edge.supplier, []);
+            loadsBySupplier.get(edge.supplier).push(edge);
+            isLoad.add(edge.load);
+
+            // The load claims a supply the supplier never declares
+            if (!rail.declaredSources.has(edge.supplier)) {
+                warnings.push({
+                    rail: name,
+                    load: edge.load,
+                    supplier: edge.supplier,
+                    message: `Draws ${name} from a module that does not declare itself as a ${name} source`
+                });
+            }
+        });
+
+        const suppliers = Array.from(loadsBySupplier.keys());
+        let rootPaths = suppliers.filter(path => !isLoad.has(path)).sort();
+
+        // A rail that only loops through its modules still needs an entry point
+        if (rootPaths.length === 0 && suppliers.length > 0) {
+            rootPaths = [suppliers.sort()[0]];
+        }
+
+        const visited = new Set();
+        const buildNode = (path, edge) => {
+            visited.add(path);
+
+            const children = (loadsBySupplier.get(path) || [])
+                .filter(childEdge => !visited.has(childEdge.load))
+                .sort((a, b) => a.load.localeCompare(b.load));
+
+            // Claim the children before descending so siblings aren't nested twice
+            children.forEach(childEdge => visited.add(childEdge.load));
+
+            return {
+                path: path,
+                edge: edge,
+                warning: warnings.find(warning => warning.load === path) || null,
+                children: children.map(childEdge => buildNode(childEdge.load, childEdge))
+            };
+        };
+
+        const roots = rootPaths.map(path => buildNode(path, null));
+
+        // Modules only reachable through a loop that skips the roots
+        Array.from(isLoad).sort().forEach(path => {
+            if (!visited.has(path)) roots.push(buildNode(path, null));
+        });
+
+        return { name, roots, warnings };
+    }
+
+    // TOP-DOWN TREE LAYOUT
+    // Leaves get consecutive slots, parents are centered over their children,
+    // rails sit side by side under a header node.
+    static layout(rails, options = {}) {
+        const nodeWidth = options.nodeWidth || 180;
+        const nodeHeight = options.nodeHeight || 70;
+        const horizontalGap = options.horizontalGap || 30;
+        const levelHeight = options.levelHeight || 130;
+        const railGap = options.railGap || 80;
+
+        const nodes = [];
+        const edges = [];
+        let railX = 50;
+
+        rails.forEach(rail => {
+            let nextSlot = 0;
+
+            const place = (treeNode, depth, parentKey) => {
+                const key = `${rail.name}:${treeNode.path}`;
+                let x;
+
+                if (treeNode.children.length === 0) {
+                    x = railX + nextSlot * (nodeWidth + horizontalGap);
+                    nextSlot++;
+                } else {
+                    const childXs = treeNode.children.map(child => place(child, depth + 1, key));
+                    x = (childXs[0] + childXs[childXs.length - 1]) / 2;
+                }
+
+                nodes.push({
+                    key: key,
+                    kind: 'module',
+                    path: treeNode.path,
+                    rail: rail.name,
+                    edge: treeNode.edge,
+                    warning: treeNode.warning,
+                    x: x,
+                    y: 50 + (depth + 1) * levelHeight,
+                    width: nodeWidth,
+                    height: nodeHeight
+                });
+
+                if (parentKey) {
+                    edges.push({ from: parentKey, to: key, edge: treeNode.edge });
+                }
+
+                return x;
+            };
+
+            const railKey = `${rail.name}:__rail__`;
+            const rootXs = rail.roots.map(root => place(root, 0, railKey));
+            const railWidth = Math.max(1, nextSlot) * (nodeWidth + horizontalGap) - horizontalGap;
+
+            nodes.push({
+                key: railKey,
+                kind: 'rail',
+                path: null,
+                rail: rail.name,
+                warningCount: rail.warnings.length,
+                x: rootXs.length > 0 ? (rootXs[0] + rootXs[rootXs.length - 1]) / 2 : railX,
+                y: 50,
+                width: nodeWidth,
+                height: nodeHeight / 1.5
+            });
+
+            railX += railWidth + railGap;
+        });
+
+        return { nodes, edges };
+    }
+}
+
+if (typeof module !== 'undefined') {
+    module.exports = PowerTree;
+}
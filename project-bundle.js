@@ -0,0 +1,176 @@
+class ProjectBundle {
+    // A whole project in one JSON file: the directory tree, every connections.json
+    // and module.json, the erc.json and the layout. Loads like a folder pick and converts back
+    // into folder form.
+    static get FORMAT() {
+        return 'pcb-project-bundle';
+    }
+
+    static get VERSION() {
+        return 1;
+    }
+
+    static get FILE_SUFFIX() {
+        return '.bundle.json';
+    }
+
+    // Placeholder that keeps directories without files in zips and folder pickers
+    static get KEEP_FILE() {
+        return '.gitkeep';
+    }
+
+    // directories: every module path, including the root folder
+    // connectionFiles: Map of directory path -> parsed connections.json
+    // metadataFiles: Map of directory path -> parsed module.json
+    // ercConfig: parsed erc.json or null
+    static create(projectName, directories, connectionFiles, layout = null, metadataFiles = new Map(), ercConfig = null) {
+        const connections = {};
+        Array.from(connectionFiles.keys()).sort().forEach(dirPath => {
+            connections[dirPath] = connectionFiles.get(dirPath);
+        });
+
+        const metadata = {};
+        Array.from(metadataFiles.keys()).sort().forEach(dirPath => {
+            metadata[dirPath] = metadataFiles.get(dirPath);
+        });
+
+        return {
+            format: ProjectBundle.FORMAT,
+            version: ProjectBundle.VERSION,
+            project: projectName,
+            directories: Array.from(directories).sort(),
+            connections: connections,
+            metadata: metadata,
+            erc: ercConfig,
+            layout: layout
+        };
+    }
+
+    static parse(content) {
+        const bundle = JSON.parse(content);
+
+        if (!bundle || typeof bundle !== 'object' || bundle.format !== ProjectBundle.FORMAT) {
+            throw new Error('Not a project bundle');
+        }
+        if (bundle.version !== ProjectBundle.VERSION) {
+            throw new Error(`Unsupported bundle version: ${bundle.version}`);
+        }
+        if (typeof bundle.project !== 'string' || !bundle.project) {
+            throw new Error('Bundle is missing "project"');
+        }
+        if (!Array.isArray(bundle.directories) || !bundle.directories.every(path => typeof path === 'string')) {
+            throw new Error('Bundle "directories" must be a list of paths');
+        }
+        if (!bundle.connections || typeof bundle.connections !== 'object') {
+            throw new Error('Bundle is missing "connections"');
+        }
+        // Bundles from before module.json support have no metadata
+        if (bundle.metadata !== undefined && (!bundle.metadata || typeof bundle.metadata !== 'object')) {
+            throw new Error('Bundle "metadata" must be an object');
+        }
+
+        if (bundle.erc !== undefined && bundle.erc !== null && (typeof bundle.erc !== 'object' || Array.isArray(bundle.erc))) {
+            throw new Error('Bundle "erc" must be an object');
+        }
+
+        // Everything has to live under the one project folder
+        const outside = [...bundle.directories, ...Object.keys(bundle.connections), ...Object.keys(bundle.metadata || {})].find(path =>
+            path !== bundle.project && !PathResolver.isAncestor(bundle.project, path)
+        );
+        if (outside !== undefined) {
+            throw new Error(`"${outside}" is outside the project folder ${bundle.project}`);
+        }
+
+        if (bundle.layout) {
+            LayoutStore.parse(JSON.stringify(bundle.layout));
+        }
+
+        return bundle;
+    }
+
+    static stringify(bundle) {
+        return JSON.stringify(bundle, null, 2) + '\n';
+    }
+
+    // FOLDER FORM
+
+    // [{ path, content }] for every file of the unpacked project
+    static toFiles(bundle) {
+        const files = Object.keys(bundle.connections).map(dirPath => ({
+            path: `${dirPath}/connections.json`,
+            content: ConnectionSchema.serialize(bundle.connections[dirPath])
+        }));
+
+        Object.keys(bundle.metadata || {}).forEach(dirPath => {
+            files.push({
+                path: `${dirPath}/${ModuleMetadata.FILE_NAME}`,
+                content: JSON.stringify(bundle.metadata[dirPath], null, 2) + '\n'
+            });
+        });
+
+        if (bundle.erc) {
+            files.push({
+                path: `${bundle.project}/${RuleChecker.FILE_NAME}`,
+                content: JSON.stringify(bundle.erc, null, 2) + '\n'
+            });
+        }
+
+        if (bundle.layout) {
+            files.push({
+                path: `${bundle.project}/${LayoutStore.FILE_NAME}`,
+                content: LayoutStore.stringify(bundle.layout)
+            });
+        }
+
+        // Directories only exist through the files inside them
+        const directories = new Set([bundle.project, ...bundle.directories]);
+        directories.forEach(dirPath => {
+            const hasFiles = files.some(file => PathResolver.isAncestor(dirPath, file.path));
+            if (!hasFiles) {
+                files.push({ path: `${dirPath}/${ProjectBundle.KEEP_FILE}`, content: '' });
+            }
+        });
+
+        return files.sort((a, b) => a.path.localeCompare(b.path));
+    }
+
+    // Map of project-relative file path -> File, as PCBSystemViewer.loadFileEntries takes it
+    static toEntries(bundle) {
+        const entries = new Map();
+        this.toFiles(bundle).forEach(file => {
+            const name = file.path.slice(file.path.lastIndexOf('/') + 1);
+            entries.set(file.path, new File([file.content], name));
+        });
+        return entries;
+    }
+
+    static toZip(bundle) {
+        const zip = new ZipWriter();
+        this.toFiles(bundle).forEach(file => zip.addFile(file.path, file.content));
+        return zip.generate();
+    }
+
+    // Writes the project folder into parentHandle and returns the new folder's handle
+    static async writeToDirectory(bundle, parentHandle) {
+        const handles = new Map();
+        const getDirectory = async (dirPath) => {
+            if (!handles.has(dirPath)) {
+                const parts = dirPath.split('/');
+                const parent = parts.length > 1 ? await getDirectory(parts.slice(0, -1).join('/')) : parentHandle;
+                handles.set(dirPath, await parent.getDirectoryHandle(parts[parts.length - 1], { create: true }));
+            }
+            return handles.get(dirPath);
+        };
+
+        for (const file of this.toFiles(bundle)) {
+            const slash = file.path.lastIndexOf('/');
+            const dirHandle = await getDirectory(file.path.slice(0, slash));
+            const fileHandle = await dirHandle.getFileHandle(file.path.slice(slash + 1), { create: true });
+            const writable = await fileHandle.createWritable();
+            await writable.write(file.content);
+            await writable.close();
+        }
+
+        return getDirectory(bundle.project);
+    }
+}
@@ -0,0 +1,75 @@
+class ProjectWatcher {
+    // Polls a project source and reports files that were added, removed or modified.
+    // scan: async () => Map of file path -> { file, signature }, where the signature
+    // changes whenever the file does (modification time, or the content itself).
+    // onChange: called with { entries, added, removed, modified } where entries is
+    // the full Map of file path -> File after the change. Returning false leaves the
+    // change pending, so it is reported again on the next poll.
+    constructor(scan, onChange, interval = 2000) {
+        this.scan = scan;
+        this.onChange = onChange;
+        this.interval = interval;
+        this.signatures = null;
+        this.timer = null;
+        this.isPolling = false;
+    }
+
+    async start() {
+        this.stop();
+
+        // The first scan is the baseline, only later differences count as changes
+        const snapshot = await this.scan();
+        this.signatures = this.getSignatures(snapshot);
+        this.timer = setInterval(() => this.poll(), this.interval);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    isRunning() {
+        return this.timer !== null;
+    }
+
+    async poll() {
+        // A slow scan must not overlap the next tick
+        if (this.isPolling || !this.signatures) return;
+        this.isPolling = true;
+
+        try {
+            const snapshot = await this.scan();
+            const signatures = this.getSignatures(snapshot);
+
+            const added = [];
+            const modified = [];
+            signatures.forEach((signature, path) => {
+                if (!this.signatures.has(path)) {
+                    added.push(path);
+                } else if (this.signatures.get(path) !== signature) {
+                    modified.push(path);
+                }
+            });
+            const removed = Array.from(this.signatures.keys()).filter(path => !signatures.has(path));
+
+            if (added.length > 0 || removed.length > 0 || modified.length > 0) {
+                const entries = new Map();
+                snapshot.forEach((item, path) => entries.set(path, item.file));
+                if (await this.onChange({ entries, added, removed, modified }) === false) return;
+            }
+
+            this.signatures = signatures;
+        } catch (error) {
+            // Files mid-save or a server restart, try again on the next tick
+            console.warn('Live reload scan failed:', error);
+        } finally {
+            this.isPolling = false;
+        }
+    }
+
+    getSignatures(snapshot) {
+        const signatures = new Map();
+        snapshot.forEach((item, path) => signatures.set(path, item.signature));
+        return signatures;
+    }
+}
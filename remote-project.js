@@ -0,0 +1,105 @@
+class RemoteProject {
+    // Loads a project from a web server, either as a bundle or through a manifest
+    // listing the project files. Manifest file paths are relative to the manifest,
+    // so the manifest sits in the project folder next to the root connections.json.
+    // "node tools/pcb-cli.js manifest <project-dir>" writes the manifest, --check
+    // verifies it. To try it locally, serve the repository with any static server,
+    // e.g. "python3 -m http.server 8000", and open
+    // http://localhost:8000/?project=Delta_Robot/manifest.json
+    static get MANIFEST_FORMAT() {
+        return 'pcb-project-manifest';
+    }
+
+    static get MANIFEST_VERSION() {
+        return 1;
+    }
+
+    static get MANIFEST_FILE() {
+        return 'manifest.json';
+    }
+
+    // url: bundle, manifest, or a directory (ending in "/") that holds manifest.json
+    // Returns a Map of project-relative file path -> File, as PCBSystemViewer.loadFileEntries takes it
+    static async load(url) {
+        if (url.endsWith('/')) {
+            url += this.MANIFEST_FILE;
+        }
+
+        const text = await this.fetchText(url);
+
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`${url} is not valid JSON: ${error.message}`);
+        }
+
+        if (data && data.format === ProjectBundle.FORMAT) {
+            return ProjectBundle.toEntries(ProjectBundle.parse(text));
+        }
+
+        const manifest = this.parseManifest(data);
+
+        // Fetch in parallel, the files are small and there are many of them
+        const files = await Promise.all(manifest.files.map(async filePath => {
+            const content = await this.fetchText(new URL(filePath, url).href);
+            const name = filePath.slice(filePath.lastIndexOf('/') + 1);
+            return [`${manifest.project}/${filePath}`, new File([content], name)];
+        }));
+
+        return new Map(files);
+    }
+
+    // files: paths relative to the project folder
+    static createManifest(project, files) {
+        return {
+            format: this.MANIFEST_FORMAT,
+            version: this.MANIFEST_VERSION,
+            project: project,
+            files: files
+        };
+    }
+
+    static parseManifest(manifest) {
+        if (!manifest || typeof manifest !== 'object' || manifest.format !== this.MANIFEST_FORMAT) {
+            throw new Error('Not a project manifest or bundle');
+        }
+        if (manifest.version !== this.MANIFEST_VERSION) {
+            throw new Error(`Unsupported manifest version: ${manifest.version}`);
+        }
+        if (typeof manifest.project !== 'string' || !manifest.project) {
+            throw new Error('Manifest is missing "project"');
+        }
+        if (!Array.isArray(manifest.files) || !manifest.files.every(path => typeof path === 'string')) {
+            throw new Error('Manifest "files" must be a list of paths');
+        }
+
+        // Paths must stay inside the project folder
+        const escaping = manifest.files.find(path =>
+            path.startsWith('/') || /^[a-z]+:/i.test(path) || PathResolver.normalize(path) !== path
+        );
+        if (escaping !== undefined) {
+            throw new Error(`Manifest path "${escaping}" must be a plain path inside the project`);
+        }
+
+        return manifest;
+    }
+
+    static async fetchText(url) {
+        let response;
+        try {
+            response = await fetch(url, { cache: 'no-cache' });
+        } catch (error) {
+            throw new Error(`Could not fetch ${url}: ${error.message}`);
+        }
+
+        if (!response.ok) {
+            throw new Error(`Could not fetch ${url}: HTTP ${response.status}`);
+        }
+        return response.text();
+    }
+}
+
+if (typeof module !== 'undefined') {
+    module.exports = RemoteProject;
+}
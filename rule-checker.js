@@ -0,0 +1,177 @@
+class RuleChecker {
+    // Registry of electrical rules (ERC). A rule is any object with
+    //   { id, label, severity, options, check(context, options) -> violations }
+    // where violations are [{ modulePath, index, message }] and index is the
+    // connection in modulePath's connections.json, or null for the module itself.
+    // A rule may add validateOptions(options) -> [messages] to have bad options
+    // reported as erc.json problems instead of failing when the rule runs.
+    // context is { connectionFiles, resolveTarget, metadataFiles }.
+    //
+    // Projects configure the rules in an erc.json next to the root connections.json:
+    //   { "rules": { "<rule id>": { "enabled": false, "severity": "warning", ...options } } }
+    constructor() {
+        this.rules = new Map();
+    }
+
+    static get FILE_NAME() {
+        return 'erc.json';
+    }
+
+    static get SEVERITIES() {
+        return ['error', 'warning'];
+    }
+
+    register(rule) {
+        this.rules.set(rule.id, rule);
+    }
+
+    getRules() {
+        return Array.from(this.rules.values());
+    }
+
+    // Problems in ConnectionSchema form for a parsed erc.json
+    validateConfig(config, filePath) {
+        const problems = [];
+        const modulePath = filePath.slice(0, filePath.lastIndexOf('/'));
+        const report = (severity, field, message) => {
+            problems.push({ severity, filePath, modulePath, index: null, field, message });
+        };
+
+        if (!config || typeof config !== 'object' || Array.isArray(config)) {
+            report('error', null, 'Expected an object with a "rules" object');
+            return problems;
+        }
+        if (config.rules === undefined) return problems;
+
+        if (!config.rules || typeof config.rules !== 'object' || Array.isArray(config.rules)) {
+            report('error', 'rules', '"rules" must be an object of rule id -> settings');
+            return problems;
+        }
+
+        Object.keys(config.rules).forEach(id => {
+            const settings = config.rules[id];
+            if (!this.rules.has(id)) {
+                report('warning', 'rules', `Unknown rule "${id}", known rules are ${Array.from(this.rules.keys()).join(', ')}`);
+            } else if (typeof settings === 'boolean') {
+                // "rule": false is short for { "enabled": false }
+            } else if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+                report('error', 'rules', `Settings for "${id}" must be an object or true/false`);
+            } else if (settings.enabled !== undefined && typeof settings.enabled !== 'boolean') {
+                report('error', 'rules', `"enabled" of "${id}" must be true or false`);
+            } else if (settings.severity !== undefined && !RuleChecker.SEVERITIES.includes(settings.severity)) {
+                report('error', 'rules', `"severity" of "${id}" must be one of ${RuleChecker.SEVERITIES.join(', ')}`);
+            } else {
+                const rule = this.rules.get(id);
+                this.validateOptions(rule, this.getSettings(rule, config).options).forEach(message => {
+                    report('error', 'rules', `Options of "${id}": ${message}`);
+                });
+            }
+        });
+
+        return problems;
+    }
+
+    validateOptions(rule, options) {
+        return typeof rule.validateOptions === 'function' ? rule.validateOptions(options) : [];
+    }
+
+    // Rule settings with the project's erc.json applied on top of the rule's defaults
+    getSettings(rule, config) {
+        const configured = config && config.rules && typeof config.rules === 'object' ? config.rules[rule.id] : undefined;
+        const overrides = typeof configured === 'boolean' ?
+            { enabled: configured } :
+            (configured && typeof configured === 'object' && !Array.isArray(configured) ? configured : {});
+
+        const { enabled, severity, ...options } = overrides;
+        return {
+            enabled: enabled !== false,
+            severity: RuleChecker.SEVERITIES.includes(severity) ? severity : rule.severity,
+            options: { ...rule.options, ...options }
+        };
+    }
+
+    // Returns { violations, byModule: Map of module path -> violations, byConnection: Map of connection -> violations }
+    run(context, config = null) {
+        const violations = [];
+
+        this.getRules().forEach(rule => {
+            const settings = this.getSettings(rule, config);
+            if (!settings.enabled) return;
+
+            // Bad options are reported by validateConfig
+            if (this.validateOptions(rule, settings.options).length > 0) return;
+
+            let found;
+            try {
+                found = rule.check(context, settings.options);
+                if (!Array.isArray(found)) {
+                    throw new Error('check() must return a list of violations');
+                }
+            } catch (error) {
+                // A broken rule or bad options must not take the viewer down
+                console.warn(`ERC rule ${rule.id} failed:`, error);
+                found = [{ modulePath: null, index: null, message: `Rule failed: ${error.message}` }];
+            }
+
+            found.forEach(violation => {
+                violations.push({ ...violation, rule: rule.id, ruleLabel: rule.label, severity: settings.severity });
+            });
+        });
+
+        violations.sort((a, b) => {
+            if (a.severity !== b.severity) return a.severity === 'error' ? -1 : 1;
+            return (a.modulePath || '').localeCompare(b.modulePath || '') || (a.index ?? -1) - (b.index ?? -1);
+        });
+
+        const byModule = new Map();
+        const byConnection = new Map();
+        violations.forEach(violation => {
+            if (!violation.modulePath) return;
+
+            if (!byModule.has(violation.modulePath)) byModule.set(violation.modulePath, []);
+            byModule.get(violation.modulePath).push(violation);
+
+            const connectionData = context.connectionFiles.get(violation.modulePath);
+            const conn = violation.index !== null && connectionData && Array.isArray(connectionData.connections) ?
+                connectionData.connections[violation.index] :
+                null;
+            if (conn) {
+                if (!byConnection.has(conn)) byConnection.set(conn, []);
+                byConnection.get(conn).push(violation);
+            }
+        });
+
+        return { violations, byModule, byConnection };
+    }
+
+    // REPORT
+    static get CSV_COLUMNS() {
+        return ['Severity', 'Rule', 'Module', 'Connection', 'Target', 'Message'];
+    }
+
+    static toCsv(violations, connectionFiles) {
+        const rows = [this.CSV_COLUMNS];
+
+        violations.forEach(violation => {
+            const connectionData = connectionFiles.get(violation.modulePath);
+            const conn = violation.index !== null && connectionData && Array.isArray(connectionData.connections) ?
+                connectionData.connections[violation.index] :
+                null;
+
+            rows.push([
+                violation.severity,
+                violation.rule,
+                violation.modulePath || '',
+                violation.index === null ? '' : `#${violation.index}`,
+                conn && typeof conn.target === 'string' ? conn.target : '',
+                violation.message
+            ]);
+        });
+
+        return CsvWriter.stringify(rows);
+    }
+}
+
+if (typeof module !== 'undefined') {
+    module.exports = RuleChecker;
+}
@@ -7,6 +7,14 @@ class PCBSystemViewer {
         this.selectedModule = null;
         this.rootModules = []; // Top-level modules
         this.connections = new Map(); // Store all connections
+        this.resolvedTargets = new Map(); // Connection object -> resolved module path
+        this.unresolvedConnections = []; // Targets that do not point at an existing module
+        this.parseErrors = []; // connections.json files that failed to parse
+        this.moduleMetadata = new Map(); // Directory path -> parsed module.json
+        this.problems = []; // Schema validation results
+        this.consistency = { findings: [], byModule: new Map() }; // Reciprocal declaration check
+        this.tracedNet = null; // Result of NetTracer.trace for the highlighted signal
+        this.viewMode = 'hierarchy'; // 'hierarchy' or 'power'
         
         // NEW CANVAS PROPERTIES
         this.canvasManager = null;
@@ -18,9 +26,71 @@ class PCBSystemViewer {
             hasMoved: false
         };
         this.modulePositions = new Map(); // Store manual positions
+        this.pinnedModules = new Set(); // Manually dragged modules that re-layout must not move
         this.clickTimeout = null;
+        this.pendingClickModule = null;
+        
+        // LIVE RELOAD
+        this.projectUrl = null; // Set when the project was opened with ?project=<url>
+        this.watcher = null;
+        this.recentChanges = { modules: new Set(), connections: new Set() };
+        this.recentChangesTimeout = null;
+        
+        // COMPARE MODE
+        this.diff = null; // Differences to an older snapshot, see compareSnapshots
+        
+        // LEGACY IMPORT
+        this.legacyImport = null; // Set when pointer.json files were converted, see LegacyImporter.convert
+        
+        // MODULE TYPES
+        this.typeFilter = null; // Module type that stays highlighted while the rest is dimmed
+        
+        // BILL OF MATERIALS
+        this.isBomVisible = false;
+        this.bomScope = null; // Board path the BOM panel shows, null for the whole system, '' for off-board parts
+        
+        // ELECTRICAL RULE CHECK
+        this.ruleChecker = new RuleChecker();
+        ElectricalRules.createRules().forEach(rule => this.ruleChecker.register(rule));
+        this.ercConfig = null; // Parsed erc.json, null runs every rule with its defaults
+        this.erc = { violations: [], byModule: new Map(), byConnection: new Map() }; // Result of RuleChecker.run
+        this.isErcVisible = false;
+        
+        // POWER BUDGET
+        this.powerBudget = { rails: [], nodes: new Map(), connections: new Map(), warnings: [] }; // Result of PowerBudget.create
+        this.isPowerBudgetVisible = false;
+        
+        // FOCUS MODE
+        this.focusPath = null; // Module shown as the diagram root, null for the whole system
+        this.boundaryPorts = []; // Port markers on container borders for links crossing them
+        
+        // AUTOMATIC LAYOUT
+        this.layoutEngine = new LayoutEngine();
+        this.layoutEngine.register('layered', new LayeredLayout());
+        this.layoutEngine.register('force', new ForceLayout());
+        this.layoutAlgorithm = 'layered';
+        
+        // LAYOUT PERSISTENCE
+        this.layoutStore = new LayoutStore();
+        this.projectName = ''; // Root folder name, used as the storage key
+        this.saveLayoutTimeout = null;
+        
+        // SEARCH
+        this.searchIndex = new SearchIndex();
+        this.searchResults = [];
+        this.activeSearchResult = -1;
+        
+        // CONNECTION ROUTING
+        this.connectionRouter = new ConnectionRouter();
+        this.connectionLayer = new ConnectionLayer();
+        this.selectedPair = null; // Connection pair shown in the details panel
+        
+        // EDITING
+        this.directoryHandles = new Map(); // Directory path -> FileSystemDirectoryHandle (editable folders only)
+        this.connectionEditor = new ConnectionEditor(this);
         
         this.setupEventListeners();
+        this.loadProjectFromQuery();
     }
 
     setupEventListeners() {
@@ -29,6 +99,22 @@ class PCBSystemViewer {
             this.loadFileSystem(e.target.files);
         });
 
+        // Editable folders need the File System Access API
+        const openFolderButton = document.getElementById('openFolderButton');
+        if (window.showDirectoryPicker) {
+            openFolderButton.addEventListener('click', () => this.openDirectory());
+        } else {
+            openFolderButton.style.display = 'none';
+        }
+
+        // Warn before losing edits that were not written back
+        window.addEventListener('beforeunload', (e) => {
+            if (this.connectionEditor.hasUnsavedChanges()) {
+                e.preventDefault();
+                e.returnValue = '';
+            }
+        });
+
         // ADD NEW CANVAS EVENT LISTENERS
         const container = document.getElementById('diagramContainer');
         
@@ -48,52 +134,485 @@ class PCBSystemViewer {
 
         // Keyboard shortcuts
         document.addEventListener('keydown', (e) => this.handleKeyDown(e));
+
+        // Focus lives in the URL hash so browser back/forward walk through it
+        window.addEventListener('hashchange', () => this.applyFocusFromHash());
+
+        // Automatic layout
+        document.getElementById('relayoutButton').addEventListener('click', () => this.relayout());
+        document.getElementById('layoutAlgorithmSelect').addEventListener('change', (e) => {
+            this.layoutAlgorithm = e.target.value;
+            this.relayout();
+        });
+
+        // View modes
+        document.getElementById('powerTreeButton').addEventListener('click', () => this.togglePowerTreeMode());
+        document.getElementById('bomButton').addEventListener('click', () => this.toggleBomPanel());
+        document.getElementById('ercButton').addEventListener('click', () => this.toggleErcPanel());
+        document.getElementById('powerBudgetButton').addEventListener('click', () => this.togglePowerBudgetPanel());
+        
+        const typeFilterSelect = document.getElementById('typeFilterSelect');
+        Object.keys(ModuleTypes.TYPES).forEach(type => {
+            const option = document.createElement('option');
+            option.value = type;
+            option.textContent = `${ModuleTypes.getIcon(type)} ${ModuleTypes.getLabel(type)}`;
+            typeFilterSelect.appendChild(option);
+        });
+        typeFilterSelect.addEventListener('change', () => this.setTypeFilter(typeFilterSelect.value || null));
+
+        // Search
+        const searchInput = document.getElementById('searchInput');
+        searchInput.addEventListener('input', () => this.updateSearchResults(searchInput.value));
+        searchInput.addEventListener('keydown', (e) => this.handleSearchKeyDown(e));
+        searchInput.addEventListener('focus', () => this.updateSearchResults(searchInput.value));
+        searchInput.addEventListener('blur', () => {
+            // Let a click on a result land before the list goes away
+            setTimeout(() => this.hideSearchResults(), 150);
+        });
+
+        // Diagram export
+        document.getElementById('exportDiagramButton').addEventListener('click', () => {
+            document.getElementById('exportMenu').hidden = !document.getElementById('exportMenu').hidden;
+        });
+        document.getElementById('exportDiagramConfirm').addEventListener('click', () => {
+            document.getElementById('exportMenu').hidden = true;
+            this.exportDiagram(
+                document.getElementById('exportFormatSelect').value,
+                document.getElementById('exportAreaSelect').value,
+                document.getElementById('exportThemeSelect').value
+            );
+        });
+
+        // Compare mode
+        document.getElementById('compareButton').addEventListener('click', () => {
+            document.getElementById('compareMenu').hidden = !document.getElementById('compareMenu').hidden;
+        });
+        document.getElementById('compareConfirm').addEventListener('click', async () => {
+            let beforeEntries, afterEntries;
+            try {
+                beforeEntries = await this.readSnapshotInput(
+                    document.getElementById('compareBeforeInput'),
+                    document.getElementById('compareBeforeBundleInput')
+                );
+                afterEntries = await this.readSnapshotInput(
+                    document.getElementById('compareAfterInput'),
+                    document.getElementById('compareAfterBundleInput')
+                );
+            } catch (error) {
+                alert('Failed to read the snapshot: ' + error.message);
+                return;
+            }
+            
+            if (!beforeEntries) {
+                alert('Choose the older snapshot folder or bundle.');
+                return;
+            }
+            if (!afterEntries && this.fileSystem.size === 0) {
+                alert('Choose the newer snapshot folder or bundle, or load a project first.');
+                return;
+            }
+            
+            document.getElementById('compareMenu').hidden = true;
+            // Comparing against the open project keeps its source for live reload afterwards
+            if (afterEntries) {
+                this.compareSnapshots(beforeEntries, afterEntries);
+            } else {
+                this.compareSnapshots(beforeEntries, new Map(this.fileSystem), this.directoryHandles, this.projectUrl);
+            }
+        });
+
+        // Project bundles
+        document.getElementById('exportBundleButton').addEventListener('click', () => this.exportBundle());
+        document.getElementById('saveFolderButton').addEventListener('click', () => this.saveProjectAsFolder());
+        document.getElementById('bundleInput').addEventListener('change', (e) => {
+            if (e.target.files.length > 0) {
+                this.importBundle(e.target.files[0]);
+            }
+            e.target.value = '';
+        });
+
+        // Live reload
+        document.getElementById('liveReloadButton').addEventListener('click', () => this.toggleLiveReload());
+
+        // Layout export/import
+        document.getElementById('exportLayoutButton').addEventListener('click', () => this.exportLayout());
+        document.getElementById('layoutInput').addEventListener('change', (e) => {
+            if (e.target.files.length > 0) {
+                this.importLayout(e.target.files[0]);
+            }
+            e.target.value = '';
+        });
     }
 
     handleKeyDown(e) {
         // R key to reset view
-        if (e.key === 'r' || e.key === 'R') {
+        if ((e.key === 'r' || e.key === 'R') && !this.isTypingInInput(e)) {
             if (this.canvasManager) {
                 this.canvasManager.resetView();
             }
         }
         
-        // Escape key to cancel drag
+        // L key to re-layout everything that isn't pinned
+        if ((e.key === 'l' || e.key === 'L') && !this.isTypingInInput(e)) {
+            this.relayout();
+        }
+        
+        // Slash key to jump to the search box
+        if (e.key === '/' && !this.isTypingInInput(e)) {
+            e.preventDefault();
+            document.getElementById('searchInput').focus();
+        }
+        
+        // Escape key to cancel drag, or clear the traced net
         if (e.key === 'Escape') {
             if (this.dragState.isDragging) {
                 this.cancelDrag();
+            } else if (this.tracedNet) {
+                this.clearTrace();
             }
         }
     }
 
+    isTypingInInput(e) {
+        return e.target && (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA' || e.target.tagName === 'SELECT');
+    }
+
     async loadFileSystem(files) {
+        const entries = new Map();
+        for (let file of files) {
+            entries.set(file.webkitRelativePath, file);
+        }
+        
+        await this.loadFileEntries(entries);
+    }
+
+    async openDirectory() {
+        let rootHandle;
+        try {
+            rootHandle = await window.showDirectoryPicker({ mode: 'readwrite' });
+        } catch (error) {
+            // User closed the picker
+            if (error.name === 'AbortError') return;
+            this.showError('Error opening folder: ' + error.message);
+            return;
+        }
+        
+        await this.loadDirectoryHandle(rootHandle);
+    }
+
+    async loadDirectoryHandle(rootHandle) {
+        let result;
+        try {
+            result = await this.readDirectoryHandle(rootHandle);
+        } catch (error) {
+            this.showError('Error reading folder: ' + error.message);
+            return;
+        }
+        
+        await this.loadFileEntries(result.entries, result.directoryHandles);
+    }
+
+    async readDirectoryHandle(rootHandle) {
+        const entries = new Map();
+        const directoryHandles = new Map();
+        
+        const walk = async (dirHandle, dirPath) => {
+            directoryHandles.set(dirPath, dirHandle);
+            
+            for await (const handle of dirHandle.values()) {
+                const handlePath = `${dirPath}/${handle.name}`;
+                if (handle.kind === 'directory') {
+                    await walk(handle, handlePath);
+                } else {
+                    entries.set(handlePath, await handle.getFile());
+                }
+            }
+        };
+        
+        await walk(rootHandle, rootHandle.name);
+        return { entries, directoryHandles };
+    }
+
+    // ?project=<url> opens a served bundle or manifest without picking a folder
+    async loadProjectFromQuery() {
+        const projectUrl = new URLSearchParams(window.location.search).get('project');
+        if (!projectUrl) return;
+        
+        let entries;
+        try {
+            entries = await RemoteProject.load(new URL(projectUrl, window.location.href).href);
+        } catch (error) {
+            this.showError('Error loading project: ' + error.message);
+            return;
+        }
+        
+        await this.loadFileEntries(entries);
+        this.projectUrl = new URL(projectUrl, window.location.href).href;
+        this.updateLiveReloadButton();
+    }
+
+    // entries: Map of project-relative file path -> File
+    // preferLayoutFile: the layout file among the entries wins over the browser copy
+    async loadFileEntries(entries, directoryHandles = new Map(), preferLayoutFile = false) {
         this.fileSystem.clear();
         this.allModules.clear();
         this.expandedModules.clear();
         this.connections.clear();
+        this.moduleMetadata.clear();
+        this.ercConfig = null;
         this.modulePositions.clear();
+        this.pinnedModules.clear();
+        this.connectionRouter.clearCache();
+        this.rootModules = [];
+        this.parseErrors = [];
+        this.selectedModule = null;
+        this.selectedPair = null;
+        this.tracedNet = null;
+        this.diff = null;
+        this.legacyImport = null;
+        this.projectUrl = null;
+        this.stopLiveReload();
+        this.directoryHandles = directoryHandles;
+        this.connectionEditor.reset();
         
         try {
+            // Projects from the old viewer get a connections.json per pointer.json
+            if (LegacyImporter.isLegacyProject(entries)) {
+                this.legacyImport = await LegacyImporter.convert(entries);
+                entries = this.legacyImport.entries;
+                this.parseErrors.push(...this.legacyImport.parseErrors);
+            }
+            
             // Process all files
-            for (let file of files) {
-                const relativePath = file.webkitRelativePath;
+            entries.forEach((file, relativePath) => {
                 this.fileSystem.set(relativePath, file);
-            }
+            });
+            
+            const firstPath = this.fileSystem.keys().next().value || '';
+            this.projectName = PathResolver.getRoot(firstPath);
 
-            // Parse all connections.json files
+            // Parse all connections.json and module.json files, and the project's erc.json
             await this.parseConnectionFiles();
+            await this.parseMetadataFiles();
+            await this.parseErcConfig();
             
             // Build complete module tree from directory structure
             this.buildModuleTreeFromDirectories();
             
-            // Start at root
+            // Resolve every connection target against its declaring directory
+            this.resolveConnectionTargets();
+            
+            // Check every file against the connection schema
+            this.validateConnections();
+            
+            this.searchIndex.build(this.allModules);
+            this.renderChangesPanel();
+            this.renderBomPanel();
+            
+            // Restore positions and expansion from the last session
+            const layout = await this.loadSavedLayout(preferLayoutFile);
+            if (layout) {
+                this.applyLayout(layout);
+            }
+            
+            // Start at root, or at the module named in the URL
+            this.focusPath = null;
+            const focusModule = this.getFocusModuleFromHash();
+            if (focusModule) {
+                this.focusPath = focusModule.path;
+                this.expandedModules.add(focusModule.path);
+            }
+            
+            // Converted files count as unsaved until written out as connections.json
+            if (this.legacyImport) {
+                this.legacyImport.converted.forEach(dirPath => this.connectionEditor.dirtyPaths.add(dirPath));
+                this.renderProblemsPanel();
+            }
+            
             this.renderSystem();
             
+            if (focusModule) {
+                this.fitModuleInView(focusModule);
+            } else if (layout && layout.camera) {
+                const camera = layout.camera;
+                this.canvasManager.setCameraState(camera.x, camera.y, camera.zoom);
+            }
+            
         } catch (error) {
             this.showError('Error loading file system: ' + error.message);
         }
     }
 
+    // LAYOUT PERSISTENCE
+
+    async loadSavedLayout(preferLayoutFile = false) {
+        // Prefer the browser copy, it is newer than anything committed to disk. A bundle
+        // carries the layout it was exported with, which is newer than the browser copy.
+        const storedLayout = this.layoutStore.load(this.projectName);
+        if (storedLayout && !preferLayoutFile) {
+            return storedLayout;
+        }
+
+        const layoutFile = this.fileSystem.get(`${this.projectName}/${LayoutStore.FILE_NAME}`);
+        if (!layoutFile) {
+            return storedLayout;
+        }
+
+        try {
+            return LayoutStore.parse(await layoutFile.text());
+        } catch (error) {
+            console.warn(`Ignoring invalid ${LayoutStore.FILE_NAME}:`, error);
+            return storedLayout;
+        }
+    }
+
+    applyLayout(layout) {
+        this.modulePositions.clear();
+        this.expandedModules.clear();
+
+        // Drop entries for modules that no longer exist
+        Object.keys(layout.positions).forEach(path => {
+            if (this.allModules.has(path)) {
+                this.modulePositions.set(path, layout.positions[path]);
+            }
+        });
+
+        layout.expanded.forEach(path => {
+            if (this.allModules.has(path)) {
+                this.expandedModules.add(path);
+            }
+        });
+
+        this.pinnedModules = new Set((layout.pinned || []).filter(path => this.allModules.has(path)));
+    }
+
+    getCurrentLayout() {
+        return LayoutStore.create(
+            this.projectName,
+            this.modulePositions,
+            this.expandedModules,
+            this.canvasManager ? this.canvasManager.getCameraState() : null,
+            this.pinnedModules
+        );
+    }
+
+    saveLayout() {
+        if (!this.projectName) return;
+
+        // Camera changes fire on every wheel tick, so batch the writes
+        clearTimeout(this.saveLayoutTimeout);
+        this.saveLayoutTimeout = setTimeout(() => {
+            this.layoutStore.save(this.projectName, this.getCurrentLayout());
+        }, 300);
+    }
+
+    exportLayout() {
+        if (!this.projectName) {
+            alert('Load a project folder first.');
+            return;
+        }
+
+        LayoutStore.download(this.getCurrentLayout());
+    }
+
+    async importLayout(file) {
+        if (!this.projectName) {
+            alert('Load a project folder first.');
+            return;
+        }
+
+        try {
+            const layout = LayoutStore.parse(await file.text());
+
+            this.applyLayout(layout);
+            this.renderSystem();
+
+            if (layout.camera) {
+                this.canvasManager.setCameraState(layout.camera.x, layout.camera.y, layout.camera.zoom);
+            }
+
+            this.saveLayout();
+        } catch (error) {
+            alert('Failed to import layout: ' + error.message);
+        }
+    }
+
+    // PROJECT BUNDLES
+
+    getProjectBundle() {
+        return ProjectBundle.create(
+            this.projectName,
+            Array.from(this.allModules.keys()),
+            this.connections,
+            this.getCurrentLayout(),
+            this.moduleMetadata,
+            this.ercConfig
+        );
+    }
+
+    exportBundle() {
+        if (!this.projectName) {
+            alert('Load a project folder first.');
+            return;
+        }
+        if (this.diff) {
+            alert('Exit compare mode first, the merged view is not a real project state.');
+            return;
+        }
+
+        const bundle = this.getProjectBundle();
+        FileSaver.downloadText(ProjectBundle.stringify(bundle), `${this.projectName}${ProjectBundle.FILE_SUFFIX}`, 'application/json');
+    }
+
+    async importBundle(file) {
+        let bundle;
+        try {
+            bundle = ProjectBundle.parse(await file.text());
+        } catch (error) {
+            alert('Failed to import bundle: ' + error.message);
+            return;
+        }
+
+        await this.loadFileEntries(ProjectBundle.toEntries(bundle), new Map(), true);
+    }
+
+    // Unpack the loaded project into a folder, or a zip where folders can't be written
+    async saveProjectAsFolder() {
+        if (!this.projectName) {
+            alert('Load a project folder first.');
+            return;
+        }
+        if (this.diff) {
+            alert('Exit compare mode first, the merged view is not a real project state.');
+            return;
+        }
+
+        const bundle = this.getProjectBundle();
+
+        if (!window.showDirectoryPicker) {
+            FileSaver.download(ProjectBundle.toZip(bundle), `${this.projectName}.zip`);
+            return;
+        }
+
+        let parentHandle;
+        try {
+            parentHandle = await window.showDirectoryPicker({ mode: 'readwrite' });
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+            alert('Error opening folder: ' + error.message);
+            return;
+        }
+
+        try {
+            const rootHandle = await ProjectBundle.writeToDirectory(bundle, parentHandle);
+            
+            // Continue on the written folder so edits go straight to disk
+            await this.loadDirectoryHandle(rootHandle);
+        } catch (error) {
+            alert('Failed to write the project folder: ' + error.message);
+        }
+    }
+
     async parseConnectionFiles() {
         const connectionFiles = Array.from(this.fileSystem.keys())
             .filter(path => path.endsWith('connections.json'));
@@ -101,19 +620,56 @@ class PCBSystemViewer {
         console.log('Found connection files:', connectionFiles);
 
         for (let connectionPath of connectionFiles) {
-            try {
-                const file = this.fileSystem.get(connectionPath);
-                const content = await file.text();
-                const connectionData = JSON.parse(content);
-                
-                // Store connection data with the directory path
-                const dirPath = connectionPath.replace('/connections.json', '');
-                this.connections.set(dirPath, connectionData);
-                console.log(`Loaded connections for ${dirPath}:`, connectionData);
-                
-            } catch (error) {
-                console.warn(`Failed to parse ${connectionPath}:`, error);
-            }
+            await this.parseConnectionFile(connectionPath);
+        }
+    }
+
+    async parseConnectionFile(connectionPath) {
+        try {
+            const file = this.fileSystem.get(connectionPath);
+            const content = await file.text();
+            const connectionData = JSON.parse(content);
+            
+            // Store connection data with the directory path
+            const dirPath = connectionPath.replace('/connections.json', '');
+            this.connections.set(dirPath, connectionData);
+            console.log(`Loaded connections for ${dirPath}:`, connectionData);
+            
+        } catch (error) {
+            console.warn(`Failed to parse ${connectionPath}:`, error);
+            this.parseErrors.push({ filePath: connectionPath, message: error.message });
+        }
+    }
+
+    async parseMetadataFiles() {
+        const metadataFiles = Array.from(this.fileSystem.keys())
+            .filter(path => path.endsWith(`/${ModuleMetadata.FILE_NAME}`));
+
+        for (let metadataPath of metadataFiles) {
+            await this.parseMetadataFile(metadataPath);
+        }
+    }
+
+    async parseMetadataFile(metadataPath) {
+        try {
+            const content = await this.fileSystem.get(metadataPath).text();
+            this.moduleMetadata.set(metadataPath.replace(`/${ModuleMetadata.FILE_NAME}`, ''), JSON.parse(content));
+        } catch (error) {
+            console.warn(`Failed to parse ${metadataPath}:`, error);
+            this.parseErrors.push({ filePath: metadataPath, message: error.message });
+        }
+    }
+
+    async parseErcConfig() {
+        const configPath = `${this.projectName}/${RuleChecker.FILE_NAME}`;
+        this.ercConfig = null;
+        if (!this.fileSystem.has(configPath)) return;
+        
+        try {
+            this.ercConfig = JSON.parse(await this.fileSystem.get(configPath).text());
+        } catch (error) {
+            console.warn(`Failed to parse ${configPath}:`, error);
+            this.parseErrors.push({ filePath: configPath, message: error.message });
         }
     }
 
@@ -142,6 +698,8 @@ class PCBSystemViewer {
             const pathParts = dirPath.split('/');
             const name = pathParts[pathParts.length - 1];
             const parentPath = pathParts.slice(0, -1).join('/');
+            const metadata = this.moduleMetadata.get(dirPath) || null;
+            const moduleType = ModuleTypes.resolve(name, metadata);
             
             const module = {
                 name: name,
@@ -149,8 +707,10 @@ class PCBSystemViewer {
                 parentPath: parentPath,
                 children: [],
                 level: pathParts.length - 1,
-                type: this.getModuleType(name),
-                connections: this.connections.get(dirPath) || null
+                type: moduleType.type,
+                typeDeclared: moduleType.declared,
+                connections: this.connections.get(dirPath) || null,
+                metadata: metadata
             };
             
             this.allModules.set(dirPath, module);
@@ -177,63 +737,1547 @@ class PCBSystemViewer {
         console.log('All modules:', this.allModules);
     }
 
-    getModuleType(name) {
-        if (name.includes('pcb')) return 'pcb';
-        if (name.includes('sensor') || name.includes('controller') || name.includes('mcu')) return 'component';
-        return 'system';
-    }
+    resolveConnectionTargets() {
+        this.resolvedTargets.clear();
+        this.unresolvedConnections = [];
 
-    renderSystem() {
-        const container = document.getElementById('diagramContainer');
-        
-        // Clear existing content but keep canvas structure
-        if (this.canvasManager && this.canvasManager.canvasContent) {
-            this.canvasManager.clearCanvas();
-        } else {
-            container.innerHTML = '';
-        }
+        this.connections.forEach((connectionData, dirPath) => {
+            if (!connectionData || !Array.isArray(connectionData.connections)) return;
 
-        if (this.rootModules.length === 0) {
-            container.innerHTML = '<div class="instructions"><h3>No modules found</h3></div>';
-            return;
+            const rootPath = PathResolver.getRoot(dirPath);
+
+            connectionData.connections.forEach((conn, index) => {
+                const resolvedPath = PathResolver.resolve(dirPath, conn.target, rootPath);
+
+                if (resolvedPath && this.allModules.has(resolvedPath)) {
+                    this.resolvedTargets.set(conn, resolvedPath);
+                } else {
+                    this.unresolvedConnections.push({
+                        sourcePath: dirPath,
+                        index: index,
+                        target: conn.target,
+                        resolvedPath: resolvedPath
+                    });
+                }
+            });
+        });
+
+        if (this.unresolvedConnections.length > 0) {
+            console.warn('Unresolved connection targets:', this.unresolvedConnections.map(entry =>
+                `${entry.sourcePath} [${entry.index}] -> ${entry.target}`
+            ));
         }
+    }
 
-        // INITIALIZE CANVAS MANAGER
-        if (!this.canvasManager) {
-            this.canvasManager = new CanvasManager(container);
-            this.canvasManager.initCanvas();
+    validateConnections() {
+        const problems = ConnectionSchema.validateProject(
+            this.connections,
+            this.parseErrors,
+            new Set(this.allModules.keys())
+        );
+
+        // Both ends of a link should declare it, with matching details
+        this.consistency = ConsistencyChecker.check(this.connections, conn => this.resolvedTargets.get(conn) || null);
+        this.consistency.findings.forEach(finding => {
+            problems.push({
+                severity: finding.severity,
+                filePath: `${finding.modulePath}/connections.json`,
+                modulePath: finding.modulePath,
+                index: finding.index,
+                field: finding.field,
+                message: finding.message
+            });
+        });
+
+        if (this.legacyImport) {
+            problems.push(...this.legacyImport.problems);
         }
 
-        // Hide instructions when modules are loaded
-        const instructions = container.querySelector('.instructions');
-        if (instructions) {
-            instructions.style.display = 'none';
+        // module.json is optional, but checked when present
+        this.moduleMetadata.forEach((data, dirPath) => {
+            problems.push(...ModuleMetadata.validate(data, `${dirPath}/${ModuleMetadata.FILE_NAME}`));
+        });
+        
+        if (this.ercConfig) {
+            problems.push(...this.ruleChecker.validateConfig(this.ercConfig, `${this.projectName}/${RuleChecker.FILE_NAME}`));
         }
 
-        // Update breadcrumb to show root
-        this.updateBreadcrumb();
+        this.problems = ConnectionSchema.sortProblems(problems);
 
-        // Render all visible modules
-        this.renderAllVisibleModules();
-        
-        // Render connections between visible modules
-        this.renderConnections();
+        this.updatePowerBudget();
+        this.runRuleCheck();
+        this.renderProblemsPanel();
     }
 
-    updateBreadcrumb() {
-        const breadcrumb = document.getElementById('breadcrumb');
-        breadcrumb.innerHTML = '';
-        
-        const rootItem = document.createElement('span');
-        rootItem.className = 'breadcrumb-item active';
-        rootItem.textContent = 'System Root';
-        breadcrumb.appendChild(rootItem);
-    }
+    renderProblemsPanel() {
+        const panel = document.getElementById('problemsPanel');
+        if (!panel) return;
 
-    renderAllVisibleModules() {
-        const visibleModules = this.getVisibleModules();
-        const positions = this.calculateModulePositions(visibleModules);
-        
+        panel.innerHTML = '';
+
+        const errorCount = this.problems.filter(problem => problem.severity === 'error').length;
+        const warningCount = this.problems.length - errorCount;
+
+        const title = document.createElement('h3');
+        title.textContent = 'Problems';
+        panel.appendChild(title);
+
+        const summary = document.createElement('p');
+        summary.className = 'problems-summary';
+        summary.textContent = this.problems.length === 0 ?
+            'No problems found.' :
+            `${errorCount} error(s), ${warningCount} warning(s)`;
+        panel.appendChild(summary);
+
+        if (this.legacyImport && this.legacyImport.converted.length > 0) {
+            const note = document.createElement('p');
+            note.className = 'problems-summary';
+            note.textContent = `${this.legacyImport.converted.length} connections.json file(s) converted from ${LegacyImporter.FILE_NAME}`;
+            panel.appendChild(note);
+
+            if (this.connectionEditor.hasUnsavedChanges()) {
+                panel.appendChild(this.connectionEditor.renderSaveBar());
+            }
+        }
+
+        this.problems.forEach(problem => {
+            const item = document.createElement('div');
+            item.className = `problem-item ${problem.severity}`;
+
+            const message = document.createElement('div');
+            message.className = 'problem-message';
+            message.textContent = problem.message;
+            item.appendChild(message);
+
+            const location = document.createElement('div');
+            location.className = 'problem-location';
+            location.textContent = problem.index === null ?
+                problem.filePath :
+                `${problem.filePath} #${problem.index}`;
+            item.appendChild(location);
+
+            item.addEventListener('click', () => {
+                const module = this.allModules.get(problem.modulePath);
+                if (module) {
+                    this.revealModule(module);
+                }
+            });
+
+            panel.appendChild(item);
+        });
+    }
+
+    // Re-run resolution and validation after connections were edited in place
+    refreshConnections() {
+        this.resolveConnectionTargets();
+        this.validateConnections();
+        this.searchIndex.build(this.allModules);
+        
+        if (this.tracedNet) {
+            this.tracedNet = this.traceNet(this.tracedNet.signal);
+            this.renderNetPanel();
+        }
+        
+        this.renderSystem();
+    }
+
+    // LIVE RELOAD
+    // Watches the folder behind the directory handles, or the project URL, and
+    // folds changed files into the running viewer instead of reloading it.
+
+    canLiveReload() {
+        return !this.diff && (this.directoryHandles.has(this.projectName) || !!this.projectUrl);
+    }
+
+    // Converted pointer.json folders only have their connections.json in memory until
+    // saved, and reloaded files would replace them with the pointer.json they came from
+    hasUnsavedLegacyImport() {
+        return !!this.legacyImport && this.legacyImport.converted.length > 0;
+    }
+
+    async toggleLiveReload() {
+        if (this.watcher) {
+            this.stopLiveReload();
+            return;
+        }
+        
+        if (this.hasUnsavedLegacyImport()) {
+            alert(`Live reload is off for projects converted from ${LegacyImporter.FILE_NAME}: the converted connections.json files only exist in the viewer. Save them, then open the project again to use live reload.`);
+            return;
+        }
+        
+        if (!this.canLiveReload()) {
+            alert('Live reload needs a folder opened with "Open Folder (editable)" or a project opened from a URL.');
+            return;
+        }
+        
+        this.watcher = new ProjectWatcher(() => this.scanProjectSource(), (change) => this.applyFileChanges(change));
+        try {
+            await this.watcher.start();
+        } catch (error) {
+            this.watcher = null;
+            alert('Could not start live reload: ' + error.message);
+        }
+        this.updateLiveReloadButton();
+    }
+
+    stopLiveReload() {
+        if (this.watcher) {
+            this.watcher.stop();
+            this.watcher = null;
+        }
+        this.updateLiveReloadButton();
+    }
+
+    updateLiveReloadButton(lastChange = null) {
+        const button = document.getElementById('liveReloadButton');
+        if (!button) return;
+        
+        button.classList.toggle('active', !!this.watcher);
+        button.textContent = this.watcher ? 'Live Reload: On' : 'Live Reload';
+        if (lastChange) {
+            button.title = `Last change ${lastChange.time.toLocaleTimeString()}: ${lastChange.count} file(s)`;
+        }
+    }
+
+    // Map of file path -> { file, signature } for ProjectWatcher
+    async scanProjectSource() {
+        const snapshot = new Map();
+        
+        if (this.projectUrl) {
+            // Served files carry no reliable timestamp, compare their content
+            const entries = await RemoteProject.load(this.projectUrl);
+            for (const [path, file] of entries) {
+                snapshot.set(path, { file, signature: await file.text() });
+            }
+        } else {
+            const result = await this.readDirectoryHandle(this.directoryHandles.get(this.projectName));
+            result.entries.forEach((file, path) => {
+                snapshot.set(path, { file, signature: `${file.lastModified}:${file.size}` });
+            });
+            
+            // New folders need their handles for editing
+            this.directoryHandles = result.directoryHandles;
+        }
+        
+        return snapshot;
+    }
+
+    // Returns false to have the watcher report the same change again later
+    async applyFileChanges(change) {
+        // Never drop edits that were not written back yet
+        if (this.connectionEditor.hasUnsavedChanges()) {
+            console.warn('Live reload paused until the connection edits are saved');
+            return false;
+        }
+        
+        const before = SnapshotDiff.create(Array.from(this.allModules.keys()), this.connections);
+        this.fileSystem = change.entries;
+        
+        // Only the connections.json, module.json and erc.json files that changed are parsed again.
+        // pointer.json files are converted on load only, once saved their connections.json takes over.
+        const ercPath = `${this.projectName}/${RuleChecker.FILE_NAME}`;
+        const changedFiles = [...change.added, ...change.modified, ...change.removed]
+            .filter(path => path.endsWith('connections.json') || path.endsWith(`/${ModuleMetadata.FILE_NAME}`) || path === ercPath);
+        this.parseErrors = this.parseErrors.filter(error => !changedFiles.includes(error.filePath));
+        
+        for (const filePath of changedFiles) {
+            if (filePath === ercPath) {
+                await this.parseErcConfig();
+                continue;
+            }
+            
+            const isMetadata = filePath.endsWith(`/${ModuleMetadata.FILE_NAME}`);
+            const dirPath = filePath.slice(0, filePath.lastIndexOf('/'));
+            
+            if (isMetadata) {
+                this.moduleMetadata.delete(dirPath);
+            } else {
+                this.connections.delete(dirPath);
+            }
+            
+            if (this.fileSystem.has(filePath)) {
+                await (isMetadata ? this.parseMetadataFile(filePath) : this.parseConnectionFile(filePath));
+            }
+        }
+        
+        // The module tree only has to be rebuilt when files come or go
+        if (change.added.length > 0 || change.removed.length > 0) {
+            this.allModules.clear();
+            this.rootModules = [];
+            this.buildModuleTreeFromDirectories();
+        } else {
+            changedFiles.forEach(filePath => {
+                const dirPath = filePath.slice(0, filePath.lastIndexOf('/'));
+                const module = this.allModules.get(dirPath);
+                if (module) {
+                    const moduleType = ModuleTypes.resolve(module.name, this.moduleMetadata.get(dirPath));
+                    module.connections = this.connections.get(dirPath) || null;
+                    module.metadata = this.moduleMetadata.get(dirPath) || null;
+                    module.type = moduleType.type;
+                    module.typeDeclared = moduleType.declared;
+                }
+            });
+        }
+        
+        this.forgetRemovedModules();
+        
+        const after = SnapshotDiff.create(Array.from(this.allModules.keys()), this.connections);
+        this.highlightRecentChanges(SnapshotDiff.compare(before, after));
+        
+        // Modules already on screen stay where they are, only new ones get laid out
+        const pinned = this.pinnedModules;
+        this.pinnedModules = new Set([...pinned, ...this.modulePositions.keys()]);
+        this.connectionRouter.clearCache();
+        this.refreshConnections();
+        this.pinnedModules = pinned;
+        
+        this.updateDetailsPanel();
+        this.renderBomPanel();
+        this.saveLayout();
+        this.updateLiveReloadButton({ time: new Date(), count: change.added.length + change.removed.length + change.modified.length });
+        return true;
+    }
+
+    // Drop view state that points at modules which no longer exist
+    forgetRemovedModules() {
+        const exists = (path) => this.allModules.has(path);
+        
+        Array.from(this.modulePositions.keys()).filter(path => !exists(path)).forEach(path => this.modulePositions.delete(path));
+        this.expandedModules = new Set(Array.from(this.expandedModules).filter(exists));
+        this.pinnedModules = new Set(Array.from(this.pinnedModules).filter(exists));
+        
+        if (this.focusPath && !exists(this.focusPath)) {
+            this.focusPath = null;
+        }
+        
+        // Module objects were rebuilt, look the selection up again
+        this.selectedModule = this.selectedModule ? this.allModules.get(this.selectedModule.path) || null : null;
+        this.selectedPair = null;
+    }
+
+    // Changed modules and connections flash for a few seconds
+    highlightRecentChanges(result) {
+        const modules = new Set();
+        result.modules.forEach((status, relativePath) => {
+            if (status !== 'removed') modules.add(this.toProjectPath(relativePath));
+        });
+        
+        const connections = new Set(result.changes.map(change => change.after).filter(Boolean));
+        this.recentChanges = { modules, connections };
+        
+        clearTimeout(this.recentChangesTimeout);
+        this.recentChangesTimeout = setTimeout(() => {
+            this.recentChanges = { modules: new Set(), connections: new Set() };
+        }, 5000);
+    }
+
+    // SnapshotDiff paths are relative to the root folder
+    toProjectPath(relativePath) {
+        return relativePath ? `${this.projectName}/${relativePath}` : this.projectName;
+    }
+
+    // COMPARE MODE
+    // The newer snapshot is loaded as usual. Modules and connections that only exist
+    // in the older one are added back so the diagram shows both versions at once.
+
+    // Files of a snapshot picked as a folder or as a bundle, null if neither was given
+    async readSnapshotInput(folderInput, bundleInput) {
+        if (folderInput.files.length > 0) {
+            return new Map(Array.from(folderInput.files).map(file => [file.webkitRelativePath, file]));
+        }
+        if (bundleInput.files.length > 0) {
+            return ProjectBundle.toEntries(ProjectBundle.parse(await bundleInput.files[0].text()));
+        }
+        return null;
+    }
+
+    async compareSnapshots(beforeEntries, afterEntries, directoryHandles = new Map(), projectUrl = null) {
+        const before = await SnapshotDiff.read(beforeEntries);
+        if (!before.root) {
+            alert('The older snapshot is empty.');
+            return;
+        }
+        
+        await this.loadFileEntries(afterEntries, directoryHandles);
+        this.projectUrl = projectUrl;
+        if (this.rootModules.length === 0) return;
+        
+        const after = SnapshotDiff.create(Array.from(this.allModules.keys()), this.connections);
+        const result = SnapshotDiff.compare(before, after);
+        
+        this.diff = {
+            beforeRoot: before.root,
+            modules: new Map(),
+            changes: result.changes.map(change => ({ ...change, modulePath: this.toProjectPath(change.modulePath) })),
+            byConnection: new Map() // Connection object -> change
+        };
+        result.modules.forEach((status, relativePath) => this.diff.modules.set(this.toProjectPath(relativePath), status));
+        this.diff.changes.forEach(change => this.diff.byConnection.set(change.after || change.before, change));
+        
+        this.mergeRemovedItems();
+        
+        // Validation keeps describing the newer snapshot only
+        this.resolveConnectionTargets();
+        this.searchIndex.build(this.allModules);
+        this.connectionRouter.clearCache();
+        this.renderSystem();
+        this.renderChangesPanel();
+    }
+
+    mergeRemovedItems() {
+        // Removed modules, parents first so children find them
+        const removedModules = Array.from(this.diff.modules.keys())
+            .filter(path => this.diff.modules.get(path) === 'removed')
+            .sort((a, b) => a.split('/').length - b.split('/').length);
+        
+        removedModules.forEach(dirPath => {
+            const pathParts = dirPath.split('/');
+            const name = pathParts[pathParts.length - 1];
+            const module = {
+                name: name,
+                path: dirPath,
+                parentPath: pathParts.slice(0, -1).join('/'),
+                children: [],
+                level: pathParts.length - 1,
+                type: ModuleTypes.guess(name),
+                typeDeclared: false,
+                connections: null
+            };
+            
+            this.allModules.set(dirPath, module);
+            const parent = this.allModules.get(module.parentPath);
+            if (parent) {
+                parent.children.push(module);
+                parent.children.sort((a, b) => a.name.localeCompare(b.name));
+            }
+        });
+        
+        // Removed connections go back into their declaring module
+        this.diff.changes.filter(change => change.status === 'removed').forEach(change => {
+            if (!this.connections.has(change.modulePath)) {
+                this.connections.set(change.modulePath, { connections: [] });
+            }
+            
+            const connectionData = this.connections.get(change.modulePath);
+            connectionData.connections.push(change.before);
+            
+            const module = this.allModules.get(change.modulePath);
+            if (module) {
+                module.connections = connectionData;
+            }
+        });
+    }
+
+    async exitCompareMode() {
+        // Reload the newer snapshot without the merged-in removals, loading forgets the project URL
+        const projectUrl = this.projectUrl;
+        await this.loadFileEntries(new Map(this.fileSystem), this.directoryHandles);
+        this.projectUrl = projectUrl;
+    }
+
+    // Collapsed modules report changes anywhere inside them
+    getModuleDiffStatus(module) {
+        if (!this.diff) return null;
+        
+        const status = this.diff.modules.get(module.path);
+        if (status === 'added' || status === 'removed') return status;
+        if (status) return 'changed';
+        
+        if (!this.expandedModules.has(module.path)) {
+            for (const path of this.diff.modules.keys()) {
+                if (PathResolver.isAncestor(module.path, path)) return 'changed';
+            }
+        }
+        return null;
+    }
+
+    getDiffClass(connections) {
+        if (!this.diff) return '';
+        
+        const statuses = new Set(connections.map(conn => {
+            const change = this.diff.byConnection.get(conn);
+            return change ? change.status : 'unchanged';
+        }));
+        
+        if (statuses.size === 1 && !statuses.has('unchanged')) {
+            return `diff-${statuses.values().next().value}`;
+        }
+        return statuses.size > 1 ? 'diff-changed' : '';
+    }
+
+    renderChangesPanel() {
+        const panel = document.getElementById('changesPanel');
+        if (!panel) return;
+
+        panel.innerHTML = '';
+        panel.style.display = this.diff ? '' : 'none';
+        if (!this.diff) return;
+
+        const title = document.createElement('h3');
+        title.textContent = `Changes since ${this.diff.beforeRoot}`;
+        panel.appendChild(title);
+
+        const count = (status) => Array.from(this.diff.modules.values()).filter(value => value === status).length;
+        const connectionCount = (status) => this.diff.changes.filter(change => change.status === status).length;
+
+        const summary = document.createElement('p');
+        summary.className = 'changes-summary';
+        summary.textContent =
+            `Modules: ${count('added')} added, ${count('removed')} removed. ` +
+            `Connections: ${connectionCount('added')} added, ${connectionCount('removed')} removed, ${connectionCount('changed')} changed`;
+        panel.appendChild(summary);
+
+        const exitButton = document.createElement('button');
+        exitButton.className = 'editor-button';
+        exitButton.textContent = 'Exit compare';
+        exitButton.addEventListener('click', () => this.exitCompareMode());
+        panel.appendChild(exitButton);
+
+        const addItem = (status, heading, location, details, modulePath) => {
+            const item = document.createElement('div');
+            item.className = `change-item ${status}`;
+
+            const headingEl = document.createElement('div');
+            headingEl.className = 'change-heading';
+            headingEl.textContent = heading;
+            item.appendChild(headingEl);
+
+            const locationEl = document.createElement('div');
+            locationEl.className = 'change-location';
+            locationEl.textContent = location;
+            item.appendChild(locationEl);
+
+            details.forEach(detail => {
+                const detailEl = document.createElement('div');
+                detailEl.className = 'change-field';
+                detailEl.textContent = detail;
+                item.appendChild(detailEl);
+            });
+
+            item.addEventListener('click', () => {
+                const module = this.allModules.get(modulePath);
+                if (module) {
+                    this.revealModule(module);
+                    this.selectModule(module);
+                }
+            });
+
+            panel.appendChild(item);
+        };
+
+        Array.from(this.diff.modules.entries())
+            .filter(([, status]) => status !== 'changed')
+            .sort((a, b) => a[0].localeCompare(b[0]))
+            .forEach(([path, status]) => addItem(status, `Module ${status}`, path, [], path));
+
+        this.diff.changes.forEach(change => {
+            const conn = change.after || change.before;
+            const details = change.fields.map(fieldChange =>
+                `${fieldChange.field}: ${SnapshotDiff.describeField(fieldChange)}`
+            );
+            addItem(
+                change.status,
+                `${conn.interface || conn.type || 'Connection'} → ${conn.target} ${change.status}`,
+                change.modulePath,
+                details,
+                change.modulePath
+            );
+        });
+    }
+
+    // BILL OF MATERIALS
+
+    toggleBomPanel() {
+        this.isBomVisible = !this.isBomVisible;
+        document.getElementById('bomButton').classList.toggle('active', this.isBomVisible);
+        this.renderBomPanel();
+    }
+
+    // The board a module sits on: the module itself or its closest enclosing board
+    getBoardPath(module) {
+        for (let current = module; current; current = this.allModules.get(current.parentPath)) {
+            if (current.type === 'board') return current.path;
+        }
+        return null;
+    }
+
+    getBillOfMaterials() {
+        return BillOfMaterials.create(this.allModules, module => this.getBoardPath(module));
+    }
+
+    renderBomPanel() {
+        const panel = document.getElementById('bomPanel');
+        if (!panel) return;
+
+        panel.innerHTML = '';
+        panel.style.display = this.isBomVisible ? '' : 'none';
+        if (!this.isBomVisible) return;
+
+        const bom = this.getBillOfMaterials();
+        
+        // The chosen board may be gone after a reload, '' is the off-board group
+        const board = this.bomScope === null ? null : bom.boards.find(item => item.path === this.bomScope) || null;
+        if (!board) this.bomScope = null;
+        const scope = board || bom.system;
+
+        const title = document.createElement('h3');
+        title.textContent = 'Bill of Materials';
+        panel.appendChild(title);
+
+        if (bom.system.lines.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'bom-summary';
+            empty.textContent = `No ${ModuleMetadata.FILE_NAME} files found.`;
+            panel.appendChild(empty);
+            return;
+        }
+
+        const select = document.createElement('select');
+        select.className = 'bom-scope';
+        [null, ...bom.boards].forEach(item => {
+            const option = document.createElement('option');
+            option.value = item ? `board:${item.path}` : 'system';
+            option.textContent = item ? item.name : 'Whole system';
+            option.selected = item === board;
+            select.appendChild(option);
+        });
+        select.addEventListener('change', () => {
+            this.bomScope = select.value === 'system' ? null : select.value.slice('board:'.length);
+            this.renderBomPanel();
+        });
+        panel.appendChild(select);
+
+        const totals = scope.totals;
+        const summary = document.createElement('p');
+        summary.className = 'bom-summary';
+        summary.textContent = `${totals.quantity} part(s) in ${totals.lines} line(s), total cost ${ModuleMetadata.formatCost(totals.cost)}` +
+            (totals.uncosted > 0 ? `, ${totals.uncosted} part(s) without cost` : '');
+        panel.appendChild(summary);
+
+        const exportButton = document.createElement('button');
+        exportButton.className = 'editor-button';
+        exportButton.textContent = 'Export CSV';
+        exportButton.addEventListener('click', () => this.exportBomCsv(scope.lines, board));
+        panel.appendChild(exportButton);
+
+        const table = document.createElement('table');
+        table.className = 'bom-table';
+
+        const header = table.insertRow();
+        ['Part', 'Qty', 'Unit', 'Total'].forEach(label => {
+            const cell = document.createElement('th');
+            cell.textContent = label;
+            header.appendChild(cell);
+        });
+
+        scope.lines.forEach(line => {
+            const row = table.insertRow();
+            row.title = [line.manufacturer, line.package, line.modules.join('\n')].filter(Boolean).join('\n');
+            
+            [
+                line.partNumber || line.name,
+                String(line.quantity),
+                ModuleMetadata.formatCost(line.unitCost),
+                line.uncosted === line.quantity ? '' : ModuleMetadata.formatCost(line.totalCost)
+            ].forEach(value => {
+                row.insertCell().textContent = value;
+            });
+
+            row.addEventListener('click', () => {
+                const module = this.allModules.get(line.modules[0]);
+                if (module) this.revealModule(module);
+            });
+        });
+
+        panel.appendChild(table);
+    }
+
+    exportBomCsv(lines, board) {
+        const name = board ? `${this.projectName}-${board.name}` : this.projectName;
+        FileSaver.downloadText(BillOfMaterials.toCsv(lines), `${name}-bom.csv`, 'text/csv');
+    }
+
+    // ELECTRICAL RULE CHECK
+
+    runRuleCheck() {
+        this.erc = this.ruleChecker.run({
+            connectionFiles: this.connections,
+            resolveTarget: conn => this.resolvedTargets.get(conn) || null,
+            metadataFiles: this.moduleMetadata
+        }, this.ercConfig);
+        this.renderErcPanel();
+    }
+
+    toggleErcPanel() {
+        this.isErcVisible = !this.isErcVisible;
+        document.getElementById('ercButton').classList.toggle('active', this.isErcVisible);
+        this.renderErcPanel();
+    }
+
+    renderErcPanel() {
+        const panel = document.getElementById('ercPanel');
+        if (!panel) return;
+
+        panel.innerHTML = '';
+        panel.style.display = this.isErcVisible ? '' : 'none';
+        if (!this.isErcVisible) return;
+
+        const violations = this.erc.violations;
+        const errorCount = violations.filter(violation => violation.severity === 'error').length;
+
+        const title = document.createElement('h3');
+        title.textContent = 'Electrical Rules';
+        panel.appendChild(title);
+
+        const rules = document.createElement('p');
+        rules.className = 'problems-summary';
+        rules.textContent = 'Rules: ' + this.ruleChecker.getRules().map(rule => {
+            const settings = this.ruleChecker.getSettings(rule, this.ercConfig);
+            return settings.enabled ? rule.label : `${rule.label} (off)`;
+        }).join(', ');
+        rules.title = this.ercConfig ? `Configured in ${RuleChecker.FILE_NAME}` : `Defaults, add a ${RuleChecker.FILE_NAME} to configure`;
+        panel.appendChild(rules);
+
+        const summary = document.createElement('p');
+        summary.className = 'problems-summary';
+        summary.textContent = violations.length === 0 ?
+            'No violations found.' :
+            `${errorCount} error(s), ${violations.length - errorCount} warning(s)`;
+        panel.appendChild(summary);
+
+        if (violations.length > 0) {
+            const exportButton = document.createElement('button');
+            exportButton.className = 'editor-button';
+            exportButton.textContent = 'Export Report';
+            exportButton.addEventListener('click', () => this.exportErcReport());
+            panel.appendChild(exportButton);
+        }
+
+        violations.forEach(violation => {
+            const item = document.createElement('div');
+            item.className = `problem-item ${violation.severity}`;
+
+            const message = document.createElement('div');
+            message.className = 'problem-message';
+            message.textContent = `${violation.ruleLabel}: ${violation.message}`;
+            item.appendChild(message);
+
+            if (violation.modulePath) {
+                const location = document.createElement('div');
+                location.className = 'problem-location';
+                location.textContent = violation.index === null ?
+                    violation.modulePath :
+                    `${violation.modulePath}/connections.json #${violation.index}`;
+                item.appendChild(location);
+            }
+
+            item.addEventListener('click', () => {
+                const module = this.allModules.get(violation.modulePath);
+                if (module) {
+                    this.revealModule(module);
+                }
+            });
+
+            panel.appendChild(item);
+        });
+    }
+
+    exportErcReport() {
+        FileSaver.downloadText(RuleChecker.toCsv(this.erc.violations, this.connections), `${this.projectName}-erc.csv`, 'text/csv');
+    }
+
+    getErcClass(connections) {
+        const violations = connections.flatMap(conn => this.erc.byConnection.get(conn) || []);
+        if (violations.length === 0) return '';
+        return violations.some(violation => violation.severity === 'error') ? 'erc-error' : 'erc-warning';
+    }
+
+    renderRuleViolations(conn) {
+        const violations = this.erc.byConnection.get(conn) || [];
+        return violations.map(violation =>
+            `<div class="erc-message ${violation.severity}">⚡ ${violation.ruleLabel}: ${violation.message}</div>`
+        ).join('');
+    }
+
+    // POWER BUDGET
+
+    updatePowerBudget() {
+        const rails = PowerTree.build(this.connections, conn => this.resolvedTargets.get(conn) || null);
+        this.powerBudget = PowerBudget.create(rails, this.moduleMetadata);
+        this.renderPowerBudgetPanel();
+    }
+
+    togglePowerBudgetPanel() {
+        this.isPowerBudgetVisible = !this.isPowerBudgetVisible;
+        document.getElementById('powerBudgetButton').classList.toggle('active', this.isPowerBudgetVisible);
+        this.renderPowerBudgetPanel();
+    }
+
+    renderPowerBudgetPanel() {
+        const panel = document.getElementById('powerBudgetPanel');
+        if (!panel) return;
+
+        panel.innerHTML = '';
+        panel.style.display = this.isPowerBudgetVisible ? '' : 'none';
+        if (!this.isPowerBudgetVisible) return;
+
+        const budget = this.powerBudget;
+
+        const title = document.createElement('h3');
+        title.textContent = 'Power Budget';
+        panel.appendChild(title);
+
+        if (budget.rails.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'bom-summary';
+            empty.textContent = 'No power connections found.';
+            panel.appendChild(empty);
+            return;
+        }
+
+        const undeclared = budget.rails.reduce((sum, rail) => sum + rail.undeclared, 0);
+        const summary = document.createElement('p');
+        summary.className = 'bom-summary';
+        summary.textContent = (budget.warnings.length === 0 ? 'No supply over budget' : `${budget.warnings.length} supply(s) over budget`) +
+            (undeclared > 0 ? `, ${undeclared} load(s) without "currentDraw"` : '');
+        panel.appendChild(summary);
+
+        panel.appendChild(this.renderBudgetTable(['Rail', 'Load', 'Capacity', 'Use'], budget.rails.map(rail => ({
+            values: [rail.name, ModuleMetadata.formatCurrent(rail.load), this.formatCapacity(rail.capacity), PowerBudget.formatUtilization(rail.utilization)],
+            over: rail.capacity !== null && rail.load > rail.capacity,
+            title: rail.undeclared > 0 ? `${rail.undeclared} load(s) without "currentDraw"` : ''
+        }))));
+
+        const boards = PowerBudget.getBoards(budget, path => {
+            const module = this.allModules.get(path);
+            return module ? this.getBoardPath(module) : null;
+        });
+        if (boards.length === 0) return;
+
+        panel.appendChild(this.renderBudgetTable(['Board', 'Rail', 'Draw', 'Use'], boards.map(row => ({
+            values: [this.allModules.get(row.path).name, row.rail, ModuleMetadata.formatCurrent(row.draw), PowerBudget.formatUtilization(row.utilization)],
+            over: row.capacity !== null && row.supplied > row.capacity,
+            title: row.capacity === null ? '' : `Supplies ${ModuleMetadata.formatCurrent(row.supplied)} of ${ModuleMetadata.formatCurrent(row.capacity)}`,
+            path: row.path
+        }))));
+    }
+
+    // rows: [{ values, over, title, path }], rows with a path reveal that module on click
+    renderBudgetTable(columns, rows) {
+        const table = document.createElement('table');
+        table.className = 'bom-table power-budget-table';
+
+        const header = table.insertRow();
+        columns.forEach(label => {
+            const cell = document.createElement('th');
+            cell.textContent = label;
+            header.appendChild(cell);
+        });
+
+        rows.forEach(item => {
+            const row = table.insertRow();
+            row.title = item.title;
+            row.classList.toggle('over-budget', item.over);
+            item.values.forEach(value => {
+                row.insertCell().textContent = value;
+            });
+
+            if (item.path) {
+                row.addEventListener('click', () => {
+                    const module = this.allModules.get(item.path);
+                    if (module) this.revealModule(module);
+                });
+            }
+        });
+
+        return table;
+    }
+
+    formatCapacity(capacity) {
+        return capacity === null ? '' : ModuleMetadata.formatCurrent(capacity);
+    }
+
+    // The current carried by a pair's power links, e.g. "24V Power · 1.20 A"
+    getConnectionLabel(connections) {
+        const label = ConnectionLayer.getLabel(connections);
+        const entries = new Set(connections.map(conn => this.powerBudget.connections.get(conn)).filter(Boolean));
+
+        const currents = new Map(); // rail -> amperes
+        entries.forEach(entry => {
+            currents.set(entry.rail, (currents.get(entry.rail) || 0) + entry.current);
+        });
+
+        // Loads without a declared draw would read as 0 mA
+        const parts = Array.from(currents.entries()).filter(([rail, current]) => current > 0).map(([rail, current]) =>
+            currents.size > 1 ? `${rail} ${ModuleMetadata.formatCurrent(current)}` : ModuleMetadata.formatCurrent(current)
+        );
+        return parts.length > 0 ? `${label} · ${parts.join(', ')}` : label;
+    }
+
+    // NET TRACING
+
+    traceNet(signal) {
+        return NetTracer.trace(signal, this.connections, conn => this.resolvedTargets.get(conn) || null);
+    }
+
+    traceSignal(signal) {
+        this.tracedNet = this.traceNet(signal);
+        this.renderNetPanel();
+        this.renderSystem();
+        
+        if (this.selectedModule) {
+            this.selectModule(this.selectedModule);
+        }
+    }
+
+    clearTrace() {
+        this.tracedNet = null;
+        this.renderNetPanel();
+        this.renderSystem();
+    }
+
+    isModuleOnTracedNet(module) {
+        if (!this.tracedNet) return false;
+        if (this.tracedNet.nodes.has(module.path)) return true;
+        
+        // A collapsed container lights up when the net runs through its hidden children
+        if (this.expandedModules.has(module.path)) return false;
+        return Array.from(this.tracedNet.nodes).some(path => PathResolver.isAncestor(module.path, path));
+    }
+
+    renderNetPanel() {
+        const panel = document.getElementById('netPanel');
+        if (!panel) return;
+
+        panel.innerHTML = '';
+        panel.style.display = this.tracedNet ? '' : 'none';
+        if (!this.tracedNet) return;
+
+        const net = this.tracedNet;
+
+        const title = document.createElement('h3');
+        title.textContent = `Net: ${net.signal}`;
+        panel.appendChild(title);
+
+        const summary = document.createElement('p');
+        summary.className = 'net-summary';
+        summary.textContent = `${net.connections.size} connection(s) across ${net.nodes.size} module(s)`;
+        panel.appendChild(summary);
+
+        const clearButton = document.createElement('button');
+        clearButton.className = 'editor-button';
+        clearButton.textContent = 'Clear trace';
+        clearButton.addEventListener('click', () => this.clearTrace());
+        panel.appendChild(clearButton);
+
+        const renderPath = (path) => {
+            const item = document.createElement('div');
+            item.className = 'net-path';
+
+            path.forEach((modulePath, index) => {
+                if (index > 0) {
+                    const arrow = document.createElement('span');
+                    arrow.className = 'net-arrow';
+                    arrow.textContent = ' → ';
+                    item.appendChild(arrow);
+                }
+
+                const module = this.allModules.get(modulePath);
+                const link = document.createElement('span');
+                link.className = 'net-module' + (net.sources.includes(modulePath) ? ' source' : '');
+                link.textContent = module ? module.name : modulePath;
+                link.title = modulePath;
+                link.addEventListener('click', () => {
+                    if (module) this.revealModule(module);
+                });
+                item.appendChild(link);
+            });
+
+            panel.appendChild(item);
+        };
+
+        net.paths.forEach(renderPath);
+        
+        // Modules that only appear against the declared direction
+        net.unreached.forEach(modulePath => renderPath([modulePath]));
+    }
+
+    getKnownConnectionTypes() {
+        const types = new Set();
+
+        this.connections.forEach(connectionData => {
+            if (!connectionData || !Array.isArray(connectionData.connections)) return;
+
+            connectionData.connections.forEach(conn => {
+                if (typeof conn.type === 'string' && conn.type) {
+                    types.add(conn.type);
+                }
+            });
+        });
+
+        return Array.from(types).sort();
+    }
+
+    isConnectionResolved(connection) {
+        return this.resolvedTargets.has(connection);
+    }
+
+    renderSystem() {
+        const container = document.getElementById('diagramContainer');
+        
+        // Clear existing content but keep canvas structure
+        if (this.canvasManager && this.canvasManager.canvasContent) {
+            this.canvasManager.clearCanvas();
+        } else {
+            container.innerHTML = '';
+        }
+
+        if (this.rootModules.length === 0) {
+            container.innerHTML = '<div class="instructions"><h3>No modules found</h3></div>';
+            return;
+        }
+
+        // INITIALIZE CANVAS MANAGER
+        if (!this.canvasManager) {
+            this.canvasManager = new CanvasManager(container);
+            this.canvasManager.initCanvas();
+            this.canvasManager.onCameraChange = () => this.saveLayout();
+        }
+
+        // Hide instructions when modules are loaded
+        const instructions = container.querySelector('.instructions');
+        if (instructions) {
+            instructions.style.display = 'none';
+        }
+
+        // Update breadcrumb to show root
+        this.updateBreadcrumb();
+
+        if (this.viewMode === 'power') {
+            this.connectionLayer.hideLegend(container);
+            this.renderPowerTree();
+            return;
+        }
+
+        // Render all visible modules
+        this.renderAllVisibleModules();
+        
+        // Render connections between visible modules
+        this.renderConnections();
+    }
+
+    // POWER TREE MODE
+
+    togglePowerTreeMode() {
+        this.viewMode = this.viewMode === 'power' ? 'hierarchy' : 'power';
+
+        const button = document.getElementById('powerTreeButton');
+        button.classList.toggle('active', this.viewMode === 'power');
+        button.textContent = this.viewMode === 'power' ? 'Hierarchy' : 'Power Tree';
+
+        if (this.rootModules.length > 0) {
+            this.renderSystem();
+        }
+    }
+
+    renderPowerTree() {
+        const rails = PowerTree.build(this.connections, conn => this.resolvedTargets.get(conn) || null);
+
+        if (rails.length === 0) {
+            const emptyEl = document.createElement('div');
+            emptyEl.className = 'power-empty';
+            emptyEl.textContent = 'No power connections found';
+            this.canvasManager.addModuleToCanvas(emptyEl);
+            return;
+        }
+
+        const layout = PowerTree.layout(rails);
+        const nodesByKey = new Map(layout.nodes.map(node => [node.key, node]));
+
+        // Edges first so nodes are drawn on top
+        layout.edges.forEach(edge => {
+            this.renderPowerEdge(nodesByKey.get(edge.from), nodesByKey.get(edge.to));
+        });
+
+        layout.nodes.forEach(node => this.renderPowerNode(node));
+    }
+
+    renderPowerNode(node) {
+        const nodeEl = document.createElement('div');
+        nodeEl.style.left = node.x + 'px';
+        nodeEl.style.top = node.y + 'px';
+        nodeEl.style.width = node.width + 'px';
+        nodeEl.style.height = node.height + 'px';
+        nodeEl.style.position = 'absolute';
+
+        if (node.kind === 'rail') {
+            nodeEl.className = 'module-block power-rail';
+            const warningText = node.warningCount > 0 ? ` ⚠ ${node.warningCount}` : '';
+            nodeEl.innerHTML = `<div class="module-title">${node.rail} rail${warningText}</div>`;
+            this.canvasManager.addModuleToCanvas(nodeEl);
+            return;
+        }
+
+        const module = this.allModules.get(node.path);
+        const board = this.getBoardModule(module);
+
+        nodeEl.className = `module-block power-node ${module.type}`;
+        nodeEl.setAttribute('data-power-node', node.key);
+        
+        if (!this.matchesTypeFilter(module)) {
+            nodeEl.classList.add('type-dimmed');
+        }
+
+        if (node.warning) {
+            nodeEl.classList.add('power-warning');
+            nodeEl.title = node.warning.message;
+        }
+
+        const budget = this.powerBudget.nodes.get(node.key);
+        if (budget && budget.over) {
+            nodeEl.classList.add('power-over-budget');
+            nodeEl.title = [nodeEl.title, `Over budget: supplies ${ModuleMetadata.formatCurrent(budget.supplied)} of ${ModuleMetadata.formatCurrent(budget.capacity)}`].filter(Boolean).join('\n');
+        }
+
+        nodeEl.innerHTML = `
+            <div class="module-title">${node.warning ? '⚠ ' : ''}${module.name}</div>
+            <div class="module-type">${board && board !== module ? board.name : this.getModuleTypeLabel(module)}</div>
+            ${this.renderPowerLoad(budget)}
+        `;
+
+        nodeEl.addEventListener('mousedown', (e) => {
+            if (e.button === 0) {
+                e.stopPropagation();
+                this.selectModule(module);
+            }
+        });
+
+        this.canvasManager.addModuleToCanvas(nodeEl);
+    }
+
+    renderPowerEdge(fromNode, toNode) {
+        // Elbow: down from the supplier, across, then down into the load
+        const startX = fromNode.x + fromNode.width / 2;
+        const startY = fromNode.y + fromNode.height;
+        const endX = toNode.x + toNode.width / 2;
+        const endY = toNode.y;
+        const midY = (startY + endY) / 2;
+
+        const segments = [
+            { left: startX, top: startY, width: 2, height: midY - startY },
+            { left: Math.min(startX, endX), top: midY, width: Math.abs(endX - startX) + 2, height: 2 },
+            { left: endX, top: midY, width: 2, height: endY - midY }
+        ];
+
+        segments.forEach(segment => {
+            const segmentEl = document.createElement('div');
+            segmentEl.className = 'power-edge';
+            segmentEl.style.left = segment.left + 'px';
+            segmentEl.style.top = segment.top + 'px';
+            segmentEl.style.width = segment.width + 'px';
+            segmentEl.style.height = segment.height + 'px';
+            this.canvasManager.addModuleToCanvas(segmentEl);
+        });
+    }
+
+    // "1.20 A / 2.00 A (60%)" for supplies with a capacity, otherwise the load alone
+    renderPowerLoad(budget) {
+        if (!budget || budget.load === 0) return '';
+
+        const text = budget.capacity === null ?
+            ModuleMetadata.formatCurrent(budget.load) :
+            `${ModuleMetadata.formatCurrent(budget.supplied)} / ${ModuleMetadata.formatCurrent(budget.capacity)} (${PowerBudget.formatUtilization(budget.utilization)})`;
+        return `<div class="power-load">${text}</div>`;
+    }
+
+    // Top-level board (level 1 module) that contains the given module
+    getBoardModule(module) {
+        let current = module;
+        while (current && current.level > 1) {
+            current = this.allModules.get(current.parentPath);
+        }
+        return current && current.level === 1 ? current : null;
+    }
+
+    // MODULE TYPES
+
+    getModuleTypeLabel(module) {
+        return `${ModuleTypes.getIcon(module.type)} ${ModuleTypes.getLabel(module.type).toUpperCase()}`;
+    }
+
+    setTypeFilter(type) {
+        this.typeFilter = ModuleTypes.isType(type) ? type : null;
+        document.getElementById('typeFilterSelect').value = this.typeFilter || '';
+        
+        if (this.rootModules.length > 0) {
+            this.renderSystem();
+        }
+        this.updateDetailsPanel();
+    }
+
+    matchesTypeFilter(module) {
+        if (!this.typeFilter || module.type === this.typeFilter) return true;
+        
+        // Expanded containers only frame their children, which are dimmed on their own
+        if (this.expandedModules.has(module.path) && module.children.length > 0) return true;
+        
+        // A collapsed container stays lit when a hidden child has the type
+        return Array.from(this.allModules.values()).some(other =>
+            other.type === this.typeFilter && PathResolver.isAncestor(module.path, other.path)
+        );
+    }
+
+    updateBreadcrumb() {
+        const breadcrumb = document.getElementById('breadcrumb');
+        breadcrumb.innerHTML = '';
+        
+        // Focused module and its ancestors, outermost first
+        const trail = [];
+        let current = this.focusPath ? this.allModules.get(this.focusPath) : null;
+        while (current) {
+            trail.unshift(current);
+            current = this.allModules.get(current.parentPath);
+        }
+        
+        const rootItem = document.createElement('span');
+        rootItem.className = 'breadcrumb-item' + (trail.length === 0 ? ' active' : '');
+        rootItem.textContent = 'System Root';
+        rootItem.addEventListener('click', () => this.navigateToPath(null));
+        breadcrumb.appendChild(rootItem);
+        
+        trail.forEach((module, index) => {
+            const separator = document.createElement('span');
+            separator.textContent = ' > ';
+            separator.style.color = '#666';
+            breadcrumb.appendChild(separator);
+            
+            const item = document.createElement('span');
+            item.className = 'breadcrumb-item' + (index === trail.length - 1 ? ' active' : '');
+            item.textContent = module.name;
+            item.title = module.path;
+            // Modules without children can't be a diagram root, show them as plain text
+            if (module.children.length > 0) {
+                item.addEventListener('click', () => this.navigateToPath(module.path));
+            }
+            breadcrumb.appendChild(item);
+        });
+    }
+
+    // FOCUS MODE
+
+    // Changing the hash records a history entry, the hashchange listener does the rest
+    navigateToPath(path) {
+        const hash = path ? `#focus=${encodeURIComponent(path)}` : '';
+        
+        if ((window.location.hash || '') === hash) {
+            this.applyFocusFromHash();
+        } else {
+            window.location.hash = hash;
+        }
+    }
+
+    getFocusModuleFromHash() {
+        const match = window.location.hash.match(/^#focus=(.+)$/);
+        if (!match) return null;
+        
+        const module = this.allModules.get(decodeURIComponent(match[1]));
+        return module && module.children.length > 0 ? module : null;
+    }
+
+    applyFocusFromHash() {
+        if (this.rootModules.length === 0) return;
+        
+        const module = this.getFocusModuleFromHash();
+        const path = module ? module.path : null;
+        if (path === this.focusPath) {
+            this.updateBreadcrumb();
+            return;
+        }
+        
+        this.setFocus(module);
+    }
+
+    setFocus(module) {
+        if (this.viewMode === 'power') {
+            this.togglePowerTreeMode();
+        }
+        
+        const previous = this.focusPath ? this.allModules.get(this.focusPath) : null;
+        this.focusPath = module ? module.path : null;
+        
+        // The focused module is shown as an open container around its children
+        const newlyExpanded = module && !this.expandedModules.has(module.path);
+        if (newlyExpanded) {
+            this.expandedModules.add(module.path);
+        }
+        
+        this.renderSystem();
+        
+        if (newlyExpanded) {
+            this.recalculateParentBounds(module);
+            this.renderConnections();
+        }
+        
+        // Zoom to the new root, or back to the module we just left
+        const target = module || previous;
+        if (target) {
+            this.fitModuleInView(target);
+        }
+        
+        if (module) {
+            this.selectModule(module);
+        }
+        
+        this.saveLayout();
+    }
+
+    fitModuleInView(module) {
+        const position = this.modulePositions.get(module.path);
+        if (!position || !this.canvasManager) return;
+        
+        const container = this.canvasManager.container;
+        const bounds = this.canvasManager.bounds;
+        const zoom = Math.min(
+            container.clientWidth / (position.width + 160),
+            container.clientHeight / (position.height + 160),
+            1.5
+        );
+        
+        this.canvasManager.centerOn(
+            position.x + position.width / 2,
+            position.y + position.height / 2,
+            Math.max(bounds.minZoom, Math.min(bounds.maxZoom, zoom || 1))
+        );
+    }
+
+    // Modules drawn at the top level of the diagram
+    getDiagramRoots() {
+        const focused = this.focusPath ? this.allModules.get(this.focusPath) : null;
+        return focused ? [focused] : this.rootModules;
+    }
+
+    // BOUNDARY PORTS
+    // A link that crosses the border of an expanded container is split at a port on
+    // that border, like a sheet pin in a hierarchical schematic: the inner part runs
+    // from the child to the port, the outer part from the port onwards. Ports are
+    // shared by links with the same interface to the same module outside.
+    calculateRoutedPairs(visibleModules) {
+        this.boundaryPorts = [];
+        
+        const visibleSet = new Set(visibleModules);
+        const containers = visibleModules.filter(module => module.children.some(child => visibleSet.has(child)));
+        const focus = this.focusPath ? this.allModules.get(this.focusPath) : null;
+        const contains = (module, path) => path === module.path || PathResolver.isAncestor(module.path, path);
+        const ports = new Map();
+        const pairs = new Map();
+        
+        // Nearest visible module at or above the path, null outside a focused module
+        const getVisible = (path) => {
+            let module = this.allModules.get(path);
+            while (module && !visibleSet.has(module)) {
+                module = this.allModules.get(module.parentPath);
+            }
+            return module || null;
+        };
+        
+        const getPort = (container, direction, farPath, conn) => {
+            const visibleFar = getVisible(farPath);
+            const farModule = visibleFar || this.getOutsideModule(farPath, focus);
+            const iface = conn.interface || conn.type || 'Unknown';
+            const portPath = `port:${container.path}|${farModule.path}|${iface}`;
+            
+            if (!ports.has(portPath)) {
+                ports.set(portPath, {
+                    path: portPath,
+                    name: `${container.name}: ${iface}`,
+                    container: container,
+                    farModule: farModule,
+                    outside: !visibleFar,
+                    interface: iface,
+                    directions: new Set(),
+                    signals: [],
+                    connections: [],
+                    isPort: true
+                });
+            }
+            
+            const port = ports.get(portPath);
+            port.directions.add(direction);
+            port.connections.push(conn);
+            (Array.isArray(conn.signals) ? conn.signals : []).forEach(signal => {
+                if (!port.signals.includes(signal)) port.signals.push(signal);
+            });
+            return port;
+        };
+        
+        this.connections.forEach((connectionData, dirPath) => {
+            if (!connectionData || !Array.isArray(connectionData.connections)) return;
+            
+            connectionData.connections.forEach(conn => {
+                const targetPath = this.resolvedTargets.get(conn);
+                if (!targetPath) return;
+                
+                const from = getVisible(dirPath);
+                const to = getVisible(targetPath);
+                if (from === to) return;
+                
+                // An open container's links into its own children stay hidden, as before ports
+                if (from && containers.includes(from) && contains(from, targetPath)) return;
+                
+                // Containers left on the way out (innermost first) and entered on the way in
+                const exits = containers
+                    .filter(container => contains(container, dirPath) && !contains(container, targetPath))
+                    .sort((a, b) => b.level - a.level);
+                const entries = containers
+                    .filter(container => contains(container, targetPath) && !contains(container, dirPath))
+                    .sort((a, b) => a.level - b.level);
+                
+                const chain = [
+                    ...(from && !exits.includes(from) ? [from] : []),
+                    ...exits.map(container => getPort(container, 'out', targetPath, conn)),
+                    ...entries.map(container => getPort(container, 'in', dirPath, conn)),
+                    ...(to && !entries.includes(to) ? [to] : [])
+                ];
+                
+                for (let i = 0; i < chain.length - 1; i++) {
+                    const key = `${chain[i].path}->${chain[i + 1].path}`;
+                    if (!pairs.has(key)) {
+                        pairs.set(key, { from: chain[i], to: chain[i + 1], connections: [] });
+                    }
+                    pairs.get(key).connections.push(conn);
+                }
+            });
+        });
+        
+        this.boundaryPorts = Array.from(ports.values());
+        this.placeBoundaryPorts();
+        
+        return Array.from(pairs.values());
+    }
+
+    // The outside end as seen from the focus: the module that sits beside the focus
+    // or beside one of its ancestors
+    getOutsideModule(outsidePath, focus) {
+        let module = this.allModules.get(outsidePath);
+        while (module && module.parentPath && !PathResolver.isAncestor(module.parentPath, focus.path)) {
+            module = this.allModules.get(module.parentPath);
+        }
+        return module;
+    }
+
+    // True when a route end (module or port) lies inside the container
+    isInsideContainer(node, container) {
+        const path = node.isPort ? node.container.path : node.path;
+        return PathResolver.isAncestor(container.path, path);
+    }
+
+    // Each port goes on the border facing the module at its far end, spread along
+    // the side in the order of those modules. Far ends outside a focused module have
+    // no position, their ports go right for outgoing and left for incoming links.
+    placeBoundaryPorts() {
+        const size = 12;
+        const titleHeight = 60;
+        const sides = new Map(); // "container|side" -> ports
+        
+        this.boundaryPorts.forEach(port => {
+            const box = this.modulePositions.get(port.container.path);
+            const far = this.modulePositions.get(port.farModule.path);
+            const center = { x: box.x + box.width / 2, y: box.y + box.height / 2 };
+            
+            if (!port.outside && far) {
+                port.farCenter = { x: far.x + far.width / 2, y: far.y + far.height / 2 };
+                const dx = (port.farCenter.x - center.x) / box.width;
+                const dy = (port.farCenter.y - center.y) / box.height;
+                port.side = Math.abs(dx) >= Math.abs(dy) ? (dx >= 0 ? 'right' : 'left') : (dy >= 0 ? 'bottom' : 'top');
+            } else {
+                port.farCenter = center;
+                port.side = port.directions.has('out') ? 'right' : 'left';
+            }
+            
+            const key = `${port.container.path}|${port.side}`;
+            if (!sides.has(key)) sides.set(key, []);
+            sides.get(key).push(port);
+        });
+        
+        sides.forEach(ports => {
+            const box = this.modulePositions.get(ports[0].container.path);
+            const vertical = ports[0].side === 'left' || ports[0].side === 'right';
+            
+            ports.sort((a, b) => vertical ?
+                a.farCenter.y - b.farCenter.y || a.interface.localeCompare(b.interface) :
+                a.farCenter.x - b.farCenter.x || a.interface.localeCompare(b.interface)
+            );
+            
+            ports.forEach((port, index) => {
+                const fraction = (index + 1) / (ports.length + 1);
+                let x, y;
+                
+                if (vertical) {
+                    x = port.side === 'right' ? box.x + box.width : box.x;
+                    y = box.y + titleHeight + (box.height - titleHeight) * fraction;
+                } else {
+                    x = box.x + box.width * fraction;
+                    y = port.side === 'bottom' ? box.y + box.height : box.y;
+                }
+                
+                port.rect = { x: Math.round(x - size / 2), y: Math.round(y - size / 2), width: size, height: size };
+            });
+        });
+    }
+
+    // "SPI Bus: MOSI, MISO, SCK +2"
+    getPortLabel(port) {
+        if (port.signals.length === 0) return port.interface;
+        
+        const shown = port.signals.slice(0, 3).join(', ');
+        const more = port.signals.length > 3 ? ` +${port.signals.length - 3}` : '';
+        return `${port.interface}: ${shown}${more}`;
+    }
+
+    getPortDirection(port) {
+        return port.directions.size > 1 ? 'both' : port.directions.values().next().value;
+    }
+
+    renderBoundaryPorts() {
+        document.querySelectorAll('.boundary-port').forEach(el => el.remove());
+        
+        this.boundaryPorts.forEach(port => {
+            const portEl = document.createElement('div');
+            portEl.className = `boundary-port ${port.side} ${this.getPortDirection(port)}`;
+            portEl.style.left = port.rect.x + 'px';
+            portEl.style.top = port.rect.y + 'px';
+            portEl.style.width = port.rect.width + 'px';
+            portEl.style.height = port.rect.height + 'px';
+            portEl.title = `${port.container.name} ↔ ${port.farModule.path}\n` +
+                port.connections.map(conn => `${conn.interface || 'Unknown'}: ${conn.description || 'No description'}`).join('\n');
+            
+            const label = document.createElement('span');
+            label.className = 'boundary-port-label';
+            label.textContent = this.getPortLabel(port);
+            portEl.appendChild(label);
+            
+            // Jump to the far end, leaving the focus when it lies outside
+            portEl.addEventListener('mousedown', (e) => {
+                if (e.button !== 0) return;
+                e.stopPropagation();
+                
+                if (port.outside) {
+                    const parent = this.allModules.get(port.farModule.parentPath);
+                    this.navigateToPath(parent ? parent.path : null);
+                } else {
+                    this.revealModule(port.farModule);
+                }
+            });
+            
+            this.canvasManager.addModuleToCanvas(portEl);
+        });
+    }
+
+    renderAllVisibleModules() {
+        const visibleModules = this.getVisibleModules();
+        const positions = this.calculateModulePositions(visibleModules);
+        
         visibleModules.forEach((module, index) => {
             this.renderModule(module, positions[index]);
         });
@@ -242,8 +2286,8 @@ class PCBSystemViewer {
     getVisibleModules() {
         const visible = [];
         
-        // Always show root modules
-        this.rootModules.forEach(rootModule => {
+        // Always show the diagram roots
+        this.getDiagramRoots().forEach(rootModule => {
             visible.push(rootModule);
             this.addExpandedChildren(rootModule, visible);
         });
@@ -262,128 +2306,228 @@ class PCBSystemViewer {
     }
 
     calculateModulePositions(modules) {
-        const positions = [];
+        // The first load lays out everything, later only freshly expanded containers are filled
+        const unplaced = modules.filter(module => !this.modulePositions.has(module.path));
+        if (unplaced.length === modules.length) {
+            this.autoLayout();
+        } else if (unplaced.length > 0) {
+            this.layoutNewModules(unplaced);
+        }
         
-        modules.forEach(module => {
-            // Check if we have a stored position (from dragging)
+        return modules.map(module => {
             const storedPos = this.modulePositions.get(module.path);
             
-            if (storedPos) {
-                // Use stored position
-                positions.push({
-                    x: storedPos.x,
-                    y: storedPos.y,
-                    width: storedPos.width || 250,
-                    height: storedPos.height || 120,
-                    isChild: this.isChildOfExpandedParent(module),
-                    isExpanded: this.expandedModules.has(module.path)
-                });
-            } else {
-                // Use calculated position (existing logic adapted)
-                const position = this.calculateInitialPosition(module, modules, positions);
-                positions.push(position);
-                
-                // Store calculated position for future reference
-                this.modulePositions.set(module.path, {
-                    x: position.x,
-                    y: position.y,
-                    width: position.width,
-                    height: position.height
-                });
-            }
+            return {
+                x: storedPos.x,
+                y: storedPos.y,
+                width: storedPos.width || 250,
+                height: storedPos.height || 120,
+                isChild: this.isChildOfExpandedParent(module),
+                isExpanded: this.expandedModules.has(module.path)
+            };
         });
-        
-        return positions;
     }
 
-    calculateInitialPosition(module, allModules, existingPositions) {
-        const isExpanded = this.expandedModules.has(module.path);
-        const hasChildren = module.children.length > 0;
-        const isChild = this.isChildOfExpandedParent(module);
-        
-        if (isChild) {
-            // This is a child of an expanded parent - position relative to parent
-            return this.calculateChildPosition(module, allModules, existingPositions);
-        }
-        
-        // This is a root-level module - use grid layout
-        const rootModules = allModules.filter(m => !this.isChildOfExpandedParent(m));
-        const moduleIndex = rootModules.indexOf(module);
-        
-        const cols = Math.ceil(Math.sqrt(rootModules.length));
-        const col = moduleIndex % cols;
-        const row = Math.floor(moduleIndex / cols);
-        
-        const baseWidth = 250;
-        const baseHeight = 120;
-        const spacing = 50;
-        
-        // Calculate size for expanded modules
-        let width = baseWidth;
-        let height = baseHeight;
+    // AUTOMATIC LAYOUT
+
+    // Lay out the visible modules with the current algorithm. Containers are laid out
+    // innermost first so their size is known, then placed top-down. Pinned (manually
+    // dragged) modules keep their position. Given a container, only its contents are
+    // laid out, and with keepPlaced every module that already has a position stays put.
+    autoLayout(container = null, keepPlaced = false) {
+        const visibleModules = this.getVisibleModules();
+        const visibleSet = new Set(visibleModules);
+        const pairs = this.calculateConnectionPairs(visibleModules);
+        const padding = 40;
+        const titleHeight = 60;
         
-        if (isExpanded && hasChildren) {
-            const visibleChildren = module.children.filter(child => allModules.includes(child));
-            if (visibleChildren.length > 0) {
-                const childLayout = this.calculateExpandedSize(visibleChildren);
-                width = Math.max(300, childLayout.width + 80); // 80px padding
-                height = Math.max(200, childLayout.height + 120); // 120px for title + padding
+        const getVisibleChildren = (module) => module.children.filter(child => visibleSet.has(child));
+        const isFixed = (module) => this.pinnedModules.has(module.path) || (keepPlaced && this.modulePositions.has(module.path));
+        const sizes = new Map();
+        const relativePositions = new Map();
+        
+        // Pass 1: lay out each group of siblings, innermost containers first
+        const layoutGroup = (parent, members) => {
+            members.forEach(member => {
+                const children = getVisibleChildren(member);
+                if (children.length > 0) {
+                    layoutGroup(member, children);
+                }
+            });
+            
+            const origin = parent ? this.getContentOrigin(parent, padding, titleHeight) : { x: 50, y: 50 };
+            const nodes = members.map(member => {
+                const size = sizes.get(member.path) || this.getLeafSize(member);
+                const node = { id: member.path, width: size.width, height: size.height };
+                
+                const stored = this.modulePositions.get(member.path);
+                if (stored && isFixed(member)) {
+                    node.fixed = { x: stored.x - origin.x, y: stored.y - origin.y };
+                }
+                return node;
+            });
+            
+            const positions = this.layoutEngine.run(this.layoutAlgorithm, {
+                nodes: nodes,
+                edges: this.getSiblingEdges(members, pairs)
+            });
+            LayoutEngine.normalize(positions);
+            
+            let maxX = 0, maxY = 0;
+            nodes.forEach(node => {
+                const pos = positions.get(node.id);
+                relativePositions.set(node.id, pos);
+                maxX = Math.max(maxX, pos.x + node.width);
+                maxY = Math.max(maxY, pos.y + node.height);
+            });
+            
+            if (parent) {
+                sizes.set(parent.path, {
+                    width: maxX + padding * 2,
+                    height: maxY + titleHeight + padding * 2
+                });
             }
-        }
+        };
         
-        return {
-            x: col * (baseWidth + spacing) + 50,
-            y: row * (baseHeight + spacing) + 50,
-            width: width,
-            height: height,
-            isChild: false,
-            isExpanded: isExpanded
+        // Pass 2: turn relative positions into world positions, outermost first
+        const placeGroup = (members, origin) => {
+            members.forEach(member => {
+                const relative = relativePositions.get(member.path);
+                const size = sizes.get(member.path) || this.getLeafSize(member);
+                const stored = this.modulePositions.get(member.path);
+                
+                const position = stored && isFixed(member) ?
+                    { x: stored.x, y: stored.y } :
+                    { x: Math.round(origin.x + relative.x), y: Math.round(origin.y + relative.y) };
+                
+                this.modulePositions.set(member.path, {
+                    x: position.x,
+                    y: position.y,
+                    width: size.width,
+                    height: size.height
+                });
+                
+                const children = getVisibleChildren(member);
+                if (children.length > 0) {
+                    placeGroup(children, { x: position.x + padding, y: position.y + titleHeight + padding });
+                    // Pinned children may stick out, wrap the container around them
+                    this.fitContainerToChildren(member, children, padding, titleHeight);
+                }
+            });
         };
-    }
-
-    calculateChildPosition(childModule, allModules, existingPositions) {
-        const parent = this.allModules.get(childModule.parentPath);
-        const parentIndex = allModules.indexOf(parent);
         
-        if (parentIndex === -1) {
-            // Fallback position
-            return { x: 50, y: 50, width: 140, height: 80, isChild: true };
+        if (container) {
+            const children = getVisibleChildren(container);
+            layoutGroup(container, children);
+            placeGroup(children, this.getContentOrigin(container, padding, titleHeight));
+            this.fitContainerToChildren(container, children, padding, titleHeight);
+            return;
         }
         
-        const parentPosition = existingPositions[parentIndex];
-        const siblings = parent.children.filter(child => allModules.includes(child));
-        const childIndex = siblings.indexOf(childModule);
+        // A focused module keeps its place in the full diagram
+        const roots = this.getDiagramRoots();
+        const rootPosition = this.focusPath ? this.modulePositions.get(this.focusPath) : null;
         
-        const childCols = Math.ceil(Math.sqrt(siblings.length));
-        const col = childIndex % childCols;
-        const row = Math.floor(childIndex / childCols);
+        layoutGroup(null, roots);
+        placeGroup(roots, rootPosition ? { x: rootPosition.x, y: rootPosition.y } : { x: 50, y: 50 });
+    }
+
+    // Fill the outermost containers that gained unplaced children, so the rest of
+    // the diagram keeps its layout. Unplaced diagram roots are fitted in among the others.
+    layoutNewModules(unplaced) {
+        const roots = this.getDiagramRoots();
+        if (unplaced.some(module => roots.includes(module))) {
+            this.autoLayout(null, true);
+            return;
+        }
         
-        const padding = 40;
-        const titleHeight = 60;
-        const childSpacing = 20;
-        const childWidth = 140;
-        const childHeight = 80;
+        const parentPaths = Array.from(new Set(unplaced.map(module => module.parentPath)));
+        parentPaths
+            .filter(path => !parentPaths.some(other => PathResolver.isAncestor(other, path)))
+            .forEach(path => this.autoLayout(this.allModules.get(path), true));
+    }
+
+    relayout() {
+        if (this.rootModules.length === 0) return;
         
-        return {
-            x: parentPosition.x + padding + col * (childWidth + childSpacing),
-            y: parentPosition.y + titleHeight + padding + row * (childHeight + childSpacing),
-            width: childWidth,
-            height: childHeight,
-            isChild: true
+        this.autoLayout();
+        this.renderSystem();
+        this.saveLayout();
+    }
+
+    getLeafSize(module) {
+        return this.isChildOfExpandedParent(module) ?
+            { width: 140, height: 80 } :
+            { width: 250, height: 120 };
+    }
+
+    getContentOrigin(container, padding, titleHeight) {
+        const stored = this.modulePositions.get(container.path);
+        return stored ?
+            { x: stored.x + padding, y: stored.y + titleHeight + padding } :
+            { x: padding, y: titleHeight + padding };
+    }
+
+    // Connections between members of one sibling group, mapped up from their descendants
+    getSiblingEdges(members, pairs) {
+        const memberPaths = new Set(members.map(member => member.path));
+        const findMember = (module) => {
+            let current = module;
+            while (current && !memberPaths.has(current.path)) {
+                current = this.allModules.get(current.parentPath);
+            }
+            return current ? current.path : null;
         };
+        
+        const edges = [];
+        pairs.forEach(pair => {
+            const from = findMember(pair.from);
+            const to = findMember(pair.to);
+            if (from && to && from !== to) {
+                edges.push({ from, to });
+            }
+        });
+        return edges;
     }
 
-    calculateExpandedSize(children) {
-        const childCols = Math.ceil(Math.sqrt(children.length));
-        const childRows = Math.ceil(children.length / childCols);
-        const childWidth = 140;
-        const childHeight = 80;
-        const childSpacing = 20;
+    fitContainerToChildren(container, children, padding, titleHeight) {
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        
+        children.forEach(child => {
+            const pos = this.modulePositions.get(child.path);
+            minX = Math.min(minX, pos.x);
+            minY = Math.min(minY, pos.y);
+            maxX = Math.max(maxX, pos.x + pos.width);
+            maxY = Math.max(maxY, pos.y + pos.height);
+        });
         
-        const width = (childWidth * childCols) + (childSpacing * (childCols - 1));
-        const height = (childHeight * childRows) + (childSpacing * (childRows - 1));
+        this.modulePositions.set(container.path, {
+            x: minX - padding,
+            y: minY - titleHeight - padding,
+            width: maxX - minX + padding * 2,
+            height: maxY - minY + titleHeight + padding * 2
+        });
+    }
+
+    getConsistencyFindings(module) {
+        return this.getModuleFindings(module, this.consistency.byModule);
+    }
+
+    // Findings on the module itself, plus everything inside it while collapsed.
+    // byModule: Map of module path -> findings, as the checkers return it
+    getModuleFindings(module, byModule) {
+        const isExpanded = this.expandedModules.has(module.path) && module.children.length > 0;
+        if (isExpanded) {
+            return byModule.get(module.path) || [];
+        }
         
-        return { width, height };
+        const findings = new Set();
+        byModule.forEach((moduleFindings, path) => {
+            if (path === module.path || PathResolver.isAncestor(module.path, path)) {
+                moduleFindings.forEach(finding => findings.add(finding));
+            }
+        });
+        return Array.from(findings);
     }
 
     isChildOfExpandedParent(module) {
@@ -407,6 +2551,23 @@ class PCBSystemViewer {
             moduleEl.classList.add('expanded');
         }
         
+        if (this.isModuleOnTracedNet(module)) {
+            moduleEl.classList.add('net-member');
+        }
+        
+        if (this.recentChanges.modules.has(module.path)) {
+            moduleEl.classList.add('live-changed');
+        }
+        
+        if (!this.matchesTypeFilter(module)) {
+            moduleEl.classList.add('type-dimmed');
+        }
+        
+        const diffStatus = this.getModuleDiffStatus(module);
+        if (diffStatus) {
+            moduleEl.classList.add(`diff-${diffStatus}`);
+        }
+        
         // Set position and size
         moduleEl.style.left = position.x + 'px';
         moduleEl.style.top = position.y + 'px';
@@ -438,8 +2599,30 @@ class PCBSystemViewer {
         
         moduleEl.innerHTML = `
             <div class="module-title" style="${titleStyle}">${expansionIndicator} ${module.name}${connectionIndicator}</div>
-            <div class="module-type" style="${typeStyle}">${module.type.toUpperCase()}</div>
+            <div class="module-type" style="${typeStyle}">${this.getModuleTypeLabel(module)}</div>
         `;
+        
+        // Badge for one-sided or disagreeing link declarations
+        const findings = this.getConsistencyFindings(module);
+        if (findings.length > 0) {
+            const badge = document.createElement('span');
+            const hasErrors = findings.some(finding => finding.severity === 'error');
+            badge.className = `consistency-badge ${hasErrors ? 'error' : 'warning'}`;
+            badge.textContent = `⚠ ${findings.length}`;
+            badge.title = findings.map(finding => `${finding.modulePath}: ${finding.message}`).join('\n');
+            moduleEl.appendChild(badge);
+        }
+        
+        // Badge for electrical rule violations
+        const violations = this.getModuleFindings(module, this.erc.byModule);
+        if (violations.length > 0) {
+            const ercBadge = document.createElement('span');
+            const hasErrors = violations.some(violation => violation.severity === 'error');
+            ercBadge.className = `erc-badge ${hasErrors ? 'error' : 'warning'}`;
+            ercBadge.textContent = `⚡ ${violations.length}`;
+            ercBadge.title = violations.map(violation => `${violation.ruleLabel}: ${violation.message}`).join('\n');
+            moduleEl.appendChild(ercBadge);
+        }
 
         // ADD DRAGGING CAPABILITY
         moduleEl.style.cursor = 'grab';
@@ -447,7 +2630,12 @@ class PCBSystemViewer {
 
         // Add mouse event handlers for dragging and expansion
         moduleEl.addEventListener('mousedown', (e) => this.handleModuleMouseDown(module, e));
-        moduleEl.addEventListener('mouseenter', () => this.selectModule(module));
+        moduleEl.addEventListener('mouseenter', () => {
+            // Keep the details panel on the module being edited
+            if (!this.connectionEditor.isActive()) {
+                this.selectModule(module);
+            }
+        });
 
         // Add to canvas instead of container
         this.canvasManager.addModuleToCanvas(moduleEl);
@@ -488,9 +2676,32 @@ class PCBSystemViewer {
     // MODULE DRAGGING METHODS
 
     handleModuleMouseDown(module, mouseEvent) {
-        if (mouseEvent.button === 0) { // Left click - expand/collapse only
+        if (mouseEvent.button === 0 && this.connectionEditor.isPickingTarget) { // Left click - pick connection target
+            mouseEvent.stopPropagation();
+            this.connectionEditor.pickTarget(module);
+        } else if (mouseEvent.button === 0) { // Left click - expand/collapse, double click - focus
             mouseEvent.stopPropagation();
-            this.toggleModuleExpansion(module);
+            
+            if (this.clickTimeout && this.pendingClickModule === module) {
+                clearTimeout(this.clickTimeout);
+                this.clickTimeout = null;
+                this.pendingClickModule = null;
+                
+                if (module.children.length > 0) {
+                    this.navigateToPath(module.path);
+                } else {
+                    this.selectModule(module);
+                }
+            } else {
+                // Wait to see whether a second click follows
+                clearTimeout(this.clickTimeout);
+                this.pendingClickModule = module;
+                this.clickTimeout = setTimeout(() => {
+                    this.clickTimeout = null;
+                    this.pendingClickModule = null;
+                    this.toggleModuleExpansion(module);
+                }, 250);
+            }
         } else if (mouseEvent.button === 2) { // Right click - start drag
             mouseEvent.stopPropagation();
             mouseEvent.preventDefault(); // Prevent context menu
@@ -535,6 +2746,7 @@ class PCBSystemViewer {
 
         // Update module position
         this.updateModulePosition(this.dragState.draggedModule, worldPos);
+        this.dragState.hasMoved = true;
         
         // Update parent container if needed
         this.updateParentContainer(this.dragState.draggedModule);
@@ -552,8 +2764,16 @@ class PCBSystemViewer {
                 moduleEl.classList.remove('dragging');
             }
             
-            // Final update of connections
+            // Manually placed modules stay put on re-layout
+            if (this.dragState.hasMoved) {
+                this.pinnedModules.add(this.dragState.draggedModule.path);
+            }
+            
+            // Final update of connections, routed from scratch now that nothing moves
+            this.connectionRouter.clearCache();
             this.renderConnections();
+            
+            this.saveLayout();
         }
 
         this.dragState = {
@@ -573,6 +2793,7 @@ class PCBSystemViewer {
             if (originalPos) {
                 this.updateModulePosition(this.dragState.draggedModule, originalPos);
             }
+            this.dragState.hasMoved = false;
         }
         
         this.endModuleDrag();
@@ -736,15 +2957,74 @@ class PCBSystemViewer {
     }
 
     renderConnections() {
-        // Remove existing connection lines
-        document.querySelectorAll('.connection-line').forEach(line => line.remove());
+        this.connectionLayer.attach(this.canvasManager.canvasContent);
+        this.connectionLayer.clear();
         
         const visibleModules = this.getVisibleModules();
-        const connectionPairs = this.calculateConnectionPairs(visibleModules);
+        const connectionPairs = this.calculateRoutedPairs(visibleModules);
+        const routes = this.routeConnections(connectionPairs, visibleModules);
+        
+        this.renderBoundaryPorts();
         
         connectionPairs.forEach(pair => {
-            this.renderConnectionArrow(pair.from, pair.to, pair.connections);
+            this.renderConnectionArrow(pair, routes.get(this.getPairKey(pair)));
         });
+        
+        // Legend lists the connection styles on screen
+        const categoryNames = new Set(connectionPairs.map(pair => ConnectionLayer.getPairCategory(pair.connections).name));
+        this.connectionLayer.renderLegend(this.canvasManager.container, categoryNames);
+    }
+
+    getPairKey(pair) {
+        return `${pair.from.path}->${pair.to.path}`;
+    }
+
+    // CONNECTION ROUTING
+    // Routes are cached by the router, so while dragging only links attached to
+    // the moved modules or now running through them are routed again
+    routeConnections(connectionPairs, visibleModules) {
+        const links = connectionPairs
+            .filter(pair => this.getNodeRect(pair.from) && this.getNodeRect(pair.to))
+            .map(pair => ({
+                key: this.getPairKey(pair),
+                fromId: pair.from.path,
+                toId: pair.to.path,
+                from: this.getNodeRect(pair.from),
+                to: this.getNodeRect(pair.to),
+                obstacles: this.getRouteObstacles(pair, visibleModules)
+            }));
+
+        return this.connectionRouter.routeAll(links);
+    }
+
+    // A connection end is either a module or a boundary port
+    getNodeRect(node) {
+        return node.isPort ? node.rect : this.modulePositions.get(node.path);
+    }
+
+    // Every visible box the link has to go around. Containers of either end are
+    // not obstacles, and children of an obstacle are covered by the obstacle itself.
+    // A port end only frees its container for the part of the link that runs inside it.
+    getRouteObstacles(pair, visibleModules) {
+        const isRelatedTo = (module, end, other) => {
+            if (end.isPort) {
+                return module === end.container ?
+                    this.isInsideContainer(other, end.container) :
+                    PathResolver.isAncestor(module.path, end.container.path);
+            }
+            return module === end ||
+                PathResolver.isAncestor(module.path, end.path) ||
+                PathResolver.isAncestor(end.path, module.path);
+        };
+        const isRelated = (module) => isRelatedTo(module, pair.from, pair.to) || isRelatedTo(module, pair.to, pair.from);
+
+        return visibleModules
+            .filter(module => !isRelated(module) && this.modulePositions.has(module.path))
+            .filter(module => {
+                const parent = this.allModules.get(module.parentPath);
+                return !parent || !visibleModules.includes(parent) || isRelated(parent);
+            })
+            .map(module => this.modulePositions.get(module.path));
     }
 
     calculateConnectionPairs(visibleModules) {
@@ -755,8 +3035,9 @@ class PCBSystemViewer {
             const connections = this.getConnectionsForModule(module, visibleModules);
             
             connections.forEach(conn => {
-                const target = this.findTargetModule(conn.target, visibleModules);
-                if (target) {
+                const target = this.findTargetModule(conn, visibleModules);
+                // Skip links that collapse into the module itself
+                if (target && target !== module) {
                     const key = `${module.path}->${target.path}`;
                     if (!pairs.has(key)) {
                         pairs.set(key, {
@@ -794,161 +3075,195 @@ class PCBSystemViewer {
         return connections;
     }
 
-    findTargetModule(targetPath, visibleModules) {
-        // Handle relative paths
-        if (targetPath.startsWith('../') || targetPath.startsWith('./')) {
-            // For now, let's try to find by the final name
-            const targetName = targetPath.split('/').pop();
+    findTargetModule(connection, visibleModules) {
+        let targetPath = this.resolvedTargets.get(connection);
+        
+        // Walk up from the resolved target to its nearest visible ancestor,
+        // so links into collapsed modules end at the collapsed container
+        while (targetPath) {
+            const targetModule = this.allModules.get(targetPath);
+            if (!targetModule) break;
             
-            // Find module by name
-            for (let module of visibleModules) {
-                if (module.name === targetName) {
-                    return module;
-                }
-            }
-        } else {
-            // Absolute path - try direct lookup
-            let targetModule = this.allModules.get(targetPath);
-            if (targetModule && visibleModules.includes(targetModule)) {
+            if (visibleModules.includes(targetModule)) {
                 return targetModule;
             }
-            
-            // If not found, try by final component name
-            const targetName = targetPath.split('/').pop();
-            for (let module of visibleModules) {
-                if (module.name === targetName) {
-                    return module;
-                }
-            }
+            targetPath = targetModule.parentPath;
         }
         
         return null;
     }
 
-    renderConnectionArrow(fromModule, toModule, connections) {
-        const fromEl = document.querySelector(`[data-module-path="${fromModule.path}"]`);
-        const toEl = document.querySelector(`[data-module-path="${toModule.path}"]`);
-        
-        if (!fromEl || !toEl) return;
+    renderConnectionArrow(pair, points) {
+        if (!points || points.length < 2) return;
 
-        // Get positions relative to the canvas content
-        const fromRect = {
-            left: parseFloat(fromEl.style.left) || 0,
-            top: parseFloat(fromEl.style.top) || 0,
-            width: fromEl.offsetWidth,
-            height: fromEl.offsetHeight
-        };
+        const key = this.getPairKey(pair);
+        const classes = [];
         
-        const toRect = {
-            left: parseFloat(toEl.style.left) || 0,
-            top: parseFloat(toEl.style.top) || 0,
-            width: toEl.offsetWidth,
-            height: toEl.offsetHeight
-        };
+        const traceClass = this.getTraceClass(pair.connections);
+        if (traceClass) {
+            classes.push(traceClass);
+        }
+        
+        const diffClass = this.getDiffClass(pair.connections);
+        if (diffClass) {
+            classes.push(diffClass);
+        }
+        
+        const ercClass = this.getErcClass(pair.connections);
+        if (ercClass) {
+            classes.push(ercClass);
+        }
+        
+        if (pair.connections.some(conn => this.recentChanges.connections.has(conn))) {
+            classes.push('live-changed');
+        }
+        
+        if (this.selectedPair && this.getPairKey(this.selectedPair) === key) {
+            classes.push('selected');
+        }
 
-        // Calculate edge-to-edge connection points
-        const fromCenter = {
-            x: fromRect.left + fromRect.width / 2,
-            y: fromRect.top + fromRect.height / 2
-        };
+        const linkEl = this.connectionLayer.drawLink({
+            key: key,
+            points: points,
+            connections: pair.connections,
+            className: classes.join(' '),
+            label: this.getConnectionLabel(pair.connections)
+        });
         
-        const toCenter = {
-            x: toRect.left + toRect.width / 2,
-            y: toRect.top + toRect.height / 2
-        };
+        linkEl.addEventListener('mousedown', (e) => {
+            if (e.button === 0) {
+                e.stopPropagation();
+                this.selectConnectionPair(pair);
+            }
+        });
+    }
 
-        // Determine which edges to connect
-        const dx = toCenter.x - fromCenter.x;
-        const dy = toCenter.y - fromCenter.y;
+    // Highlight links carrying the traced signal, fade the rest
+    getTraceClass(connections) {
+        if (!this.tracedNet) return '';
+        
+        const onNet = connections.some(conn => this.tracedNet.connections.has(conn));
+        return onNet ? 'traced' : 'dimmed';
+    }
 
-        let startX, startY, endX, endY;
+    // DIAGRAM EXPORT
 
-        // From module: determine exit point
-        if (Math.abs(dx) > Math.abs(dy)) {
-            // Horizontal connection is dominant
-            if (dx > 0) {
-                // Connect from right edge of from module
-                startX = fromRect.left + fromRect.width;
-                startY = fromCenter.y;
-            } else {
-                // Connect from left edge of from module
-                startX = fromRect.left;
-                startY = fromCenter.y;
-            }
-        } else {
-            // Vertical connection is dominant
-            if (dy > 0) {
-                // Connect from bottom edge of from module
-                startX = fromCenter.x;
-                startY = fromRect.top + fromRect.height;
-            } else {
-                // Connect from top edge of from module
-                startX = fromCenter.x;
-                startY = fromRect.top;
-            }
+    async exportDiagram(format, area, theme) {
+        if (!this.projectName) {
+            alert('Load a project folder first.');
+            return;
         }
-
-        // To module: determine entry point
-        if (Math.abs(dx) > Math.abs(dy)) {
-            // Horizontal connection is dominant
-            if (dx > 0) {
-                // Connect to left edge of to module
-                endX = toRect.left;
-                endY = toCenter.y;
-            } else {
-                // Connect to right edge of to module
-                endX = toRect.left + toRect.width;
-                endY = toCenter.y;
-            }
-        } else {
-            // Vertical connection is dominant
-            if (dy > 0) {
-                // Connect to top edge of to module
-                endX = toCenter.x;
-                endY = toRect.top;
+        
+        if (this.viewMode === 'power') {
+            alert('Switch back to the hierarchy view to export the diagram.');
+            return;
+        }
+        
+        const scene = this.getExportScene(area);
+        const svgText = DiagramExporter.buildSvg(scene, theme);
+        const width = scene.bounds.width;
+        const height = scene.bounds.height;
+        const baseName = `${this.projectName}-diagram`;
+        
+        try {
+            if (format === 'png') {
+                FileSaver.download(await DiagramExporter.toPng(svgText, width, height), `${baseName}.png`);
+            } else if (format === 'pdf') {
+                FileSaver.download(await DiagramExporter.toPdf(svgText, width, height), `${baseName}.pdf`);
             } else {
-                // Connect to bottom edge of to module
-                endX = toCenter.x;
-                endY = toRect.top + toRect.height;
+                FileSaver.downloadText(svgText, `${baseName}.svg`, 'image/svg+xml');
             }
+        } catch (error) {
+            alert(`Could not export the diagram: ${error.message}`);
         }
+    }
 
-        // Calculate line properties
-        const length = Math.sqrt(Math.pow(endX - startX, 2) + Math.pow(endY - startY, 2));
-        const angle = Math.atan2(endY - startY, endX - startX) * 180 / Math.PI;
-
-        // Create arrow line
-        const line = document.createElement('div');
-        line.className = 'connection-line';
+    // Visible modules and routed connections at the current expansion state
+    getExportScene(area) {
+        const visibleModules = this.getVisibleModules().filter(module => this.modulePositions.has(module.path));
+        const connectionPairs = this.calculateRoutedPairs(visibleModules);
+        const routes = this.routeConnections(connectionPairs, visibleModules);
         
-        // Make line thicker based on number of connections
-        const thickness = Math.min(8, Math.max(2, connections.length * 2));
-        line.style.height = thickness + 'px';
+        const modules = visibleModules.map(module => {
+            const position = this.modulePositions.get(module.path);
+            const connectionCount = this.getConnectionCount(module);
+            
+            return {
+                type: module.type,
+                title: `${module.name}${connectionCount > 0 ? ` (${connectionCount})` : ''}`,
+                x: position.x,
+                y: position.y,
+                width: position.width,
+                height: position.height,
+                container: this.expandedModules.has(module.path) && module.children.length > 0,
+                diff: this.getModuleDiffStatus(module)
+            };
+        });
         
-        line.style.left = startX + 'px';
-        line.style.top = startY + 'px';
-        line.style.width = length + 'px';
-        line.style.transform = `rotate(${angle}deg)`;
-        line.style.zIndex = '5';
-        line.style.position = 'absolute';
-
-        // Add arrow head
-        const arrow = document.createElement('div');
-        arrow.className = 'connection-arrow';
-        arrow.style.borderLeftWidth = (thickness + 8) + 'px';
-        arrow.style.borderTopWidth = (thickness + 3) + 'px';
-        arrow.style.borderBottomWidth = (thickness + 3) + 'px';
-        line.appendChild(arrow);
+        this.boundaryPorts.forEach(port => {
+            modules.push({
+                type: 'port',
+                title: this.getPortLabel(port),
+                x: port.rect.x,
+                y: port.rect.y,
+                width: port.rect.width,
+                height: port.rect.height,
+                port: port.side
+            });
+        });
+        
+        const links = connectionPairs
+            .filter(pair => routes.has(this.getPairKey(pair)))
+            .map(pair => ({
+                key: this.getPairKey(pair),
+                points: routes.get(this.getPairKey(pair)),
+                connections: pair.connections,
+                className: [this.getTraceClass(pair.connections), this.getDiffClass(pair.connections)].filter(Boolean).join(' '),
+                label: this.getConnectionLabel(pair.connections)
+            }));
+        
+        return { bounds: this.getExportBounds(area, modules, links), modules, links };
+    }
 
-        // Add tooltip with connection details
-        const connectionDetails = connections.map(conn => 
-            `${conn.interface || 'Unknown'}: ${conn.description || 'No description'}`
-        ).join('\n');
+    getExportBounds(area, modules, links) {
+        if (area === 'viewport') {
+            const container = this.canvasManager.container;
+            const topLeft = this.canvasManager.screenToWorld(0, 0);
+            const bottomRight = this.canvasManager.screenToWorld(container.clientWidth, container.clientHeight);
+            
+            return {
+                x: topLeft.x,
+                y: topLeft.y,
+                width: Math.max(1, bottomRight.x - topLeft.x),
+                height: Math.max(1, bottomRight.y - topLeft.y)
+            };
+        }
+        
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        const include = (x, y) => {
+            minX = Math.min(minX, x);
+            minY = Math.min(minY, y);
+            maxX = Math.max(maxX, x);
+            maxY = Math.max(maxY, y);
+        };
+        
+        modules.forEach(module => {
+            include(module.x, module.y);
+            include(module.x + module.width, module.y + module.height);
+        });
+        links.forEach(link => link.points.forEach(point => include(point.x, point.y)));
         
-        line.title = `${connections.length} connection(s):\n${connectionDetails}`;
+        if (minX === Infinity) {
+            return { x: 0, y: 0, width: 1, height: 1 };
+        }
         
-        // Add to canvas content
-        this.canvasManager.addModuleToCanvas(line);
+        const padding = DiagramExporter.PADDING;
+        return {
+            x: minX - padding,
+            y: minY - padding,
+            width: maxX - minX + padding * 2,
+            height: maxY - minY + padding * 2
+        };
     }
 
     toggleModuleExpansion(module) {
@@ -978,6 +3293,8 @@ class PCBSystemViewer {
         
         // Keep the module selected
         this.selectModule(module);
+        
+        this.saveLayout();
     }
 
     collapseModule(module) {
@@ -990,10 +3307,152 @@ class PCBSystemViewer {
         });
     }
 
+    // SEARCH
+
+    updateSearchResults(query) {
+        this.searchResults = this.searchIndex.search(query);
+        this.activeSearchResult = this.searchResults.length > 0 ? 0 : -1;
+        this.renderSearchResults(query);
+    }
+
+    renderSearchResults(query) {
+        const list = document.getElementById('searchResults');
+        list.innerHTML = '';
+        
+        if (!query.trim()) {
+            list.hidden = true;
+            return;
+        }
+        
+        if (this.searchResults.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'search-empty';
+            empty.textContent = 'No matching modules';
+            list.appendChild(empty);
+        }
+        
+        this.searchResults.forEach((result, index) => {
+            const item = document.createElement('div');
+            item.className = `search-result${index === this.activeSearchResult ? ' active' : ''}`;
+            
+            const name = document.createElement('div');
+            name.className = 'search-result-name';
+            name.textContent = result.module.name;
+            item.appendChild(name);
+            
+            const path = document.createElement('div');
+            path.className = 'search-result-path';
+            path.textContent = result.module.path;
+            item.appendChild(path);
+            
+            // The connection that matched, when the hit wasn't on the module itself
+            if (result.connection) {
+                const context = document.createElement('div');
+                context.className = 'search-result-context';
+                context.textContent = `${result.connection.interface || result.connection.type} → ${result.connection.target}`;
+                item.appendChild(context);
+            }
+            
+            item.addEventListener('mousedown', (e) => {
+                e.preventDefault(); // Keep focus in the search box until the result is opened
+                this.openSearchResult(index);
+            });
+            list.appendChild(item);
+        });
+        
+        list.hidden = false;
+    }
+
+    handleSearchKeyDown(e) {
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            if (this.searchResults.length === 0) return;
+            
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            this.activeSearchResult = (this.activeSearchResult + step + this.searchResults.length) % this.searchResults.length;
+            this.renderSearchResults(e.target.value);
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            if (this.activeSearchResult >= 0) {
+                this.openSearchResult(this.activeSearchResult);
+            }
+        } else if (e.key === 'Escape') {
+            e.target.blur();
+            this.hideSearchResults();
+        }
+    }
+
+    openSearchResult(index) {
+        const result = this.searchResults[index];
+        if (!result) return;
+        
+        if (this.viewMode === 'power') {
+            this.togglePowerTreeMode();
+        }
+        
+        this.hideSearchResults();
+        document.getElementById('searchInput').blur();
+        
+        // Zoom in far enough to read the module
+        this.revealModule(result.module, Math.max(this.canvasManager ? this.canvasManager.camera.zoom : 1, 1));
+    }
+
+    hideSearchResults() {
+        const list = document.getElementById('searchResults');
+        if (list) {
+            list.hidden = true;
+        }
+    }
+
+    revealModule(module, zoom) {
+        // Modules outside the focused subtree aren't drawn, so leave focus mode first
+        if (this.focusPath && module.path !== this.focusPath && !PathResolver.isAncestor(this.focusPath, module.path)) {
+            this.setFocus(null);
+            this.navigateToPath(null);
+        }
+
+        // Expand every collapsed ancestor so the module gets rendered
+        const ancestors = [];
+        let parent = this.allModules.get(module.parentPath);
+        while (parent) {
+            ancestors.push(parent);
+            parent = this.allModules.get(parent.parentPath);
+        }
+
+        const newlyExpanded = ancestors.filter(ancestor => !this.expandedModules.has(ancestor.path));
+        newlyExpanded.forEach(ancestor => this.expandedModules.add(ancestor.path));
+
+        this.renderSystem();
+
+        // Grow the new containers around their children, innermost first
+        if (newlyExpanded.length > 0) {
+            newlyExpanded.forEach(ancestor => this.recalculateParentBounds(ancestor));
+            this.updateParentContainer(newlyExpanded[0]);
+            this.renderConnections();
+            this.saveLayout();
+        }
+
+        const position = this.modulePositions.get(module.path);
+        if (position && this.canvasManager) {
+            this.canvasManager.centerOn(
+                position.x + position.width / 2,
+                position.y + position.height / 2,
+                zoom
+            );
+        }
+
+        this.selectModule(module);
+    }
+
     selectModule(module) {
         this.selectedModule = module;
+        this.selectedPair = null;
         this.updateDetailsPanel();
         
+        document.querySelectorAll('.connection-link.selected').forEach(el => {
+            el.classList.remove('selected');
+        });
+        
         // Add visual selection indication
         document.querySelectorAll('.module-block').forEach(el => {
             el.classList.remove('selected');
@@ -1006,9 +3465,79 @@ class PCBSystemViewer {
         }
     }
 
+    selectConnectionPair(pair) {
+        this.selectedPair = pair;
+        this.selectedModule = null;
+        
+        document.querySelectorAll('.module-block').forEach(el => {
+            el.classList.remove('selected');
+        });
+        document.querySelectorAll('.connection-link.selected').forEach(el => {
+            el.classList.remove('selected');
+        });
+        
+        const linkEl = document.querySelector(`.connection-link[data-link-key="${this.getPairKey(pair)}"]`);
+        if (linkEl) {
+            linkEl.classList.add('selected');
+        }
+        
+        this.updateDetailsPanel();
+    }
+
+    // Directory whose connections.json declares the connection
+    getConnectionOwner(connection) {
+        for (const [dirPath, connectionData] of this.connections) {
+            if (connectionData && Array.isArray(connectionData.connections) && connectionData.connections.includes(connection)) {
+                return dirPath;
+            }
+        }
+        return null;
+    }
+
+    renderPairDetails(panel) {
+        const pair = this.selectedPair;
+        let html = `<h3>${pair.from.name} → ${pair.to.name}</h3>`;
+        
+        const describe = (node) => node.isPort ?
+            `${this.getPortLabel(node)} port on ${node.container.path}, towards ${node.farModule.path}` :
+            node.path;
+        html += `<p><strong>From:</strong> ${describe(pair.from)}</p>`;
+        html += `<p><strong>To:</strong> ${describe(pair.to)}</p>`;
+        html += `<h4>Connections (${pair.connections.length}):</h4>`;
+        
+        pair.connections.forEach(conn => {
+            const owner = this.getConnectionOwner(conn);
+            html += `
+                <div class="connection-item">
+                    <div class="connection-target">${conn.target}</div>
+                    <div class="connection-details">
+                        <strong>Declared in:</strong> ${owner || 'Unknown'}<br>
+                        <strong>Type:</strong> ${conn.type || 'Unknown'}<br>
+                        <strong>Interface:</strong> ${conn.interface || 'Unknown'}<br>
+                        <strong>Signals:</strong> ${Array.isArray(conn.signals) ? this.renderSignalLinks(conn.signals) : (conn.signals || 'None')}<br>
+                        <strong>Description:</strong> ${conn.description || 'No description'}
+                        ${owner ? this.renderConnectionPinout(conn, owner, this.connections.get(owner).connections.indexOf(conn)) : ''}
+                        ${this.renderRuleViolations(conn)}
+                    </div>
+                </div>
+            `;
+        });
+        
+        panel.innerHTML = html;
+        
+        panel.querySelectorAll('.signal-link').forEach(link => {
+            link.addEventListener('click', () => this.traceSignal(decodeURIComponent(link.dataset.signal)));
+        });
+    }
+
     updateDetailsPanel() {
         const panel = document.getElementById('detailsPanel');
         
+        if (this.selectedPair) {
+            this.renderPairDetails(panel);
+            return;
+        }
+        
         if (!this.selectedModule) {
             panel.innerHTML = '<h3>Module Details</h3><p>Select a module to view its connections and details.</p>';
             return;
@@ -1017,7 +3546,9 @@ class PCBSystemViewer {
         const module = this.selectedModule;
         let html = `<h3>${module.name}</h3>`;
         
-        html += `<p><strong>Type:</strong> ${module.type}</p>`;
+        const typeTitle = this.typeFilter === module.type ? 'Stop highlighting this type' : 'Highlight all modules of this type';
+        html += `<p><strong>Type:</strong> <span class="type-badge ${module.type}" title="${typeTitle}">${ModuleTypes.getIcon(module.type)} ${ModuleTypes.getLabel(module.type)}</span>`;
+        html += ` <em class="type-source">${module.typeDeclared ? 'declared' : 'guessed from the name'}</em></p>`;
         html += `<p><strong>Path:</strong> ${module.path}</p>`;
         html += `<p><strong>Level:</strong> ${module.level}</p>`;
         html += `<p><strong>Children:</strong> ${module.children.length}</p>`;
@@ -1028,18 +3559,33 @@ class PCBSystemViewer {
             html += `<p><strong>Position:</strong> (${Math.round(position.x)}, ${Math.round(position.y)})</p>`;
         }
         
+        if (module.metadata && typeof module.metadata === 'object' && !Array.isArray(module.metadata)) {
+            html += '<h4>Part Details:</h4>';
+            html += this.renderMetadataDetails(module.metadata);
+        }
+        
+        if (module.connections && Array.isArray(module.connections.connectors) && module.connections.connectors.length > 0) {
+            html += '<h4>Connectors:</h4>';
+            html += this.renderConnectors(module.connections.connectors);
+        }
+        
         if (module.connections && module.connections.connections) {
             html += '<h4>Direct Connections:</h4>';
             
-            module.connections.connections.forEach(conn => {
+            module.connections.connections.forEach((conn, index) => {
+                const resolved = this.isConnectionResolved(conn);
+                const change = this.diff ? this.diff.byConnection.get(conn) : null;
+                const diffLabel = change ? ` <span class="diff-label ${change.status}">${change.status}</span>` : '';
                 html += `
-                    <div class="connection-item">
-                        <div class="connection-target">${conn.target}</div>
+                    <div class="connection-item${resolved ? '' : ' unresolved'}${change ? ' diff-' + change.status : ''}" data-connection-index="${index}">
+                        <div class="connection-target">${conn.target}${resolved ? '' : ' <span class="unresolved-label">unresolved</span>'}${diffLabel}</div>
                         <div class="connection-details">
                             <strong>Type:</strong> ${conn.type || 'Unknown'}<br>
                             <strong>Interface:</strong> ${conn.interface || 'Unknown'}<br>
-                            <strong>Signals:</strong> ${Array.isArray(conn.signals) ? conn.signals.join(', ') : (conn.signals || 'None')}<br>
+                            <strong>Signals:</strong> ${Array.isArray(conn.signals) ? this.renderSignalLinks(conn.signals) : (conn.signals || 'None')}<br>
                             <strong>Description:</strong> ${conn.description || 'No description'}
+                            ${this.renderConnectionPinout(conn, module.path, index)}
+                            ${this.renderRuleViolations(conn)}
                         </div>
                     </div>
                 `;
@@ -1057,6 +3603,109 @@ class PCBSystemViewer {
         }
 
         panel.innerHTML = html;
+        
+        panel.querySelectorAll('.signal-link').forEach(link => {
+            link.addEventListener('click', () => this.traceSignal(decodeURIComponent(link.dataset.signal)));
+        });
+        
+        panel.querySelector('.type-badge').addEventListener('click', () => {
+            this.setTypeFilter(this.typeFilter === module.type ? null : module.type);
+        });
+        
+        // The merged compare view is not a real project state, so it can't be edited
+        if (!this.diff) {
+            this.connectionEditor.decorate(panel, module);
+        }
+    }
+
+    renderMetadataDetails(metadata) {
+        const fields = ModuleMetadata.FIELDS;
+        
+        // The type is shown with the module itself
+        return Object.keys(fields).filter(field => field !== 'type' && metadata[field] !== undefined).map(field => {
+            let value = metadata[field];
+            if (field === 'cost' && ModuleMetadata.getCost(metadata) !== null) {
+                value = ModuleMetadata.formatCost(value);
+            } else if (fields[field].type === 'current' && ModuleMetadata.isCurrent(value)) {
+                value = typeof value === 'number' ?
+                    ModuleMetadata.formatCurrent(value) :
+                    Object.keys(value).map(rail => `${this.escapeHtml(rail)}: ${ModuleMetadata.formatCurrent(value[rail])}`).join(', ');
+            } else if (field === 'datasheet' && ModuleMetadata.isWebLink(value)) {
+                value = `<a class="datasheet-link" href="${this.escapeHtml(value)}" target="_blank" rel="noopener">${this.escapeHtml(value)}</a>`;
+            } else {
+                // Free text like notes may hold "<" or "&"
+                value = this.escapeHtml(String(value));
+            }
+            return `<p><strong>${fields[field].label}:</strong> ${value}</p>`;
+        }).join('');
+    }
+
+    escapeHtml(text) {
+        return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+
+    // PINOUTS
+    renderConnectors(connectors) {
+        return connectors.filter(connector => connector && typeof connector.id === 'string').map(connector => {
+            const pins = Array.isArray(connector.pinout) ? Pinout.normalize(connector.pinout) : [];
+            const name = typeof connector.name === 'string' && connector.name ? ` · ${connector.name}` : '';
+            return `
+                <div class="connector-item">
+                    <div class="connector-name">${connector.id}${name}</div>
+                    ${pins.length > 0 ? this.renderPinoutTable(pins, new Set()) : '<p class="pinout-empty">No pinout</p>'}
+                </div>
+            `;
+        }).join('');
+    }
+
+    // Pins as seen from the declaring module, with pins that disagree with the other end marked
+    renderConnectionPinout(conn, dirPath, index) {
+        const pins = Pinout.getPins(conn, dirPath, this.connections);
+        if (!pins) {
+            return typeof conn.connector === 'string' ? `<br><strong>Connector:</strong> ${conn.connector}` : '';
+        }
+
+        let label = '';
+        if (typeof conn.connector === 'string') {
+            const resolved = Pinout.resolveConnector(dirPath, conn.connector, this.connections);
+            const name = resolved && typeof resolved.connector.name === 'string' && resolved.connector.name ? ` (${resolved.connector.name})` : '';
+            label = `<br><strong>Connector:</strong> ${conn.connector}${name}`;
+        }
+
+        return `${label}${this.renderPinoutTable(pins, this.getMismatchedPins(dirPath, index))}`;
+    }
+
+    getMismatchedPins(modulePath, index) {
+        const pins = new Set();
+        (this.consistency.byModule.get(modulePath) || []).forEach(finding => {
+            if (finding.kind !== 'pinout') return;
+            const isThisEnd = (finding.modulePath === modulePath && finding.index === index) ||
+                (finding.otherPath === modulePath && finding.otherIndex === index);
+            if (isThisEnd) {
+                finding.pins.forEach(pin => pins.add(pin));
+            }
+        });
+        return pins;
+    }
+
+    renderPinoutTable(pins, mismatched) {
+        const rows = pins.map(pin => `
+            <tr class="${mismatched.has(pin.pin) ? 'pin-mismatch' : ''}"${mismatched.has(pin.pin) ? ' title="Differs from the other end, see Problems"' : ''}>
+                <td>${pin.pin}</td>
+                <td>${pin.signal ? this.renderSignalLinks([pin.signal]) : ''}</td>
+                <td>${pin.direction || ''}</td>
+                <td>${pin.voltage || ''}</td>
+            </tr>
+        `).join('');
+
+        return `<table class="pinout-table"><tr><th>Pin</th><th>Signal</th><th>Direction</th><th>Level</th></tr>${rows}</table>`;
+    }
+
+    renderSignalLinks(signals) {
+        return signals.map(signal => {
+            const traced = this.tracedNet && this.tracedNet.signal === signal ? ' traced' : '';
+            return `<span class="signal-link${traced}" data-signal="${encodeURIComponent(signal)}" title="Trace this net">${signal}</span>`;
+        }).join(', ');
     }
 
     getConnectionCount(module) {
@@ -0,0 +1,142 @@
+class SearchIndex {
+    // Searches module names and paths plus the interfaces, signals, types and
+    // descriptions of each module's connections.
+    // Query syntax: free words match anywhere, "key:value" narrows to one field,
+    // quotes keep spaces together (interface:"SPI Bus").
+    constructor() {
+        this.entries = [];
+    }
+
+    static get MODULE_FILTERS() {
+        return ['name', 'path', 'kind'];
+    }
+
+    static get CONNECTION_FILTERS() {
+        return ['type', 'signal', 'interface', 'desc', 'target'];
+    }
+
+    build(allModules) {
+        this.entries = Array.from(allModules.values()).map(module => ({
+            module: module,
+            name: module.name.toLowerCase(),
+            path: module.path.toLowerCase(),
+            // kind:power_stage and kind:"power stage" both work
+            kind: `${module.type} ${ModuleTypes.getLabel(module.type)}`.toLowerCase(),
+            connections: (module.connections && Array.isArray(module.connections.connections) ?
+                module.connections.connections : []
+            ).map(conn => ({
+                conn: conn,
+                type: String(conn.type || '').toLowerCase(),
+                interface: String(conn.interface || '').toLowerCase(),
+                desc: String(conn.description || '').toLowerCase(),
+                target: String(conn.target || '').toLowerCase(),
+                signals: (Array.isArray(conn.signals) ? conn.signals : []).map(signal => String(signal).toLowerCase())
+            }))
+        }));
+    }
+
+    // Split into { words, filters: [{ key, value }] }, unknown keys count as words
+    static parseQuery(query) {
+        const words = [];
+        const filters = [];
+        const known = [...this.MODULE_FILTERS, ...this.CONNECTION_FILTERS];
+        const tokenPattern = /(\w+):"([^"]*)"|(\w+):(\S+)|"([^"]*)"|(\S+)/g;
+
+        let match;
+        while ((match = tokenPattern.exec(query)) !== null) {
+            const key = (match[1] || match[3] || '').toLowerCase();
+            const value = match[2] !== undefined ? match[2] : match[4];
+
+            if (key && known.includes(key)) {
+                if (value) filters.push({ key, value: value.toLowerCase() });
+            } else {
+                const word = (match[5] !== undefined ? match[5] : match[0]).toLowerCase();
+
+                // A filter still being typed ("type:") narrows nothing yet
+                if (word && !known.some(name => word === `${name}:`)) words.push(word);
+            }
+        }
+
+        return { words, filters };
+    }
+
+    search(query, limit = 20) {
+        const parsed = SearchIndex.parseQuery(query);
+        if (parsed.words.length === 0 && parsed.filters.length === 0) return [];
+
+        const moduleFilters = parsed.filters.filter(filter => SearchIndex.MODULE_FILTERS.includes(filter.key));
+        const connectionFilters = parsed.filters.filter(filter => SearchIndex.CONNECTION_FILTERS.includes(filter.key));
+
+        const results = [];
+
+        this.entries.forEach(entry => {
+            if (!moduleFilters.every(filter => entry[filter.key].includes(filter.value))) return;
+
+            // Connection filters must all hold for the same connection
+            let matchedConnections = entry.connections;
+            if (connectionFilters.length > 0) {
+                matchedConnections = entry.connections.filter(connection =>
+                    connectionFilters.every(filter => this.matchesConnectionField(connection, filter.key, filter.value))
+                );
+                if (matchedConnections.length === 0) return;
+            }
+
+            let score = moduleFilters.length * 10 + connectionFilters.length * 10;
+            const matches = [];
+
+            const allWordsFound = parsed.words.every(word => {
+                const wordScore = this.scoreModuleText(entry, word);
+                if (wordScore > 0) {
+                    score += wordScore;
+                    return true;
+                }
+
+                const connection = matchedConnections.find(candidate => this.matchesConnectionText(candidate, word));
+                if (connection) {
+                    score += 5;
+                    matches.push(connection);
+                    return true;
+                }
+                return false;
+            });
+            if (!allWordsFound) return;
+
+            // Show which connection made the module match
+            const context = matches[0] || (connectionFilters.length > 0 ? matchedConnections[0] : null);
+
+            results.push({
+                module: entry.module,
+                score: score,
+                connection: context ? context.conn : null
+            });
+        });
+
+        results.sort((a, b) =>
+            b.score - a.score ||
+            a.module.level - b.module.level ||
+            a.module.path.localeCompare(b.module.path)
+        );
+
+        return results.slice(0, limit);
+    }
+
+    scoreModuleText(entry, word) {
+        if (entry.name === word) return 100;
+        if (entry.name.startsWith(word)) return 50;
+        if (entry.name.includes(word)) return 30;
+        if (entry.path.includes(word)) return 10;
+        return 0;
+    }
+
+    matchesConnectionField(connection, key, value) {
+        if (key === 'signal') {
+            return connection.signals.some(signal => signal.includes(value));
+        }
+        return connection[key].includes(value);
+    }
+
+    matchesConnectionText(connection, word) {
+        return ['type', 'interface', 'desc'].some(key => connection[key].includes(word)) ||
+            connection.signals.some(signal => signal.includes(word));
+    }
+}
@@ -0,0 +1,150 @@
+class SnapshotDiff {
+    // Compares two versions of a project. Paths are taken below the root folder,
+    // so snapshots saved under different folder names still line up.
+    static get COMPARED_FIELDS() {
+        return ['type', 'interface', 'signals'];
+    }
+
+    // entries: Map of project-relative file path -> File, as loadFileEntries takes them
+    static async read(entries) {
+        // Old pointer.json projects are compared in their converted form
+        if (LegacyImporter.isLegacyProject(entries)) {
+            entries = (await LegacyImporter.convert(entries)).entries;
+        }
+
+        const directories = new Set();
+        const connectionFiles = new Map();
+        const parseErrors = [];
+
+        for (const [filePath, file] of entries) {
+            const parts = PathResolver.split(filePath);
+            for (let i = 1; i < parts.length; i++) {
+                directories.add(parts.slice(0, i).join('/'));
+            }
+
+            if (!filePath.endsWith('connections.json')) continue;
+
+            try {
+                connectionFiles.set(filePath.replace('/connections.json', ''), JSON.parse(await file.text()));
+            } catch (error) {
+                parseErrors.push({ filePath, message: error.message });
+            }
+        }
+
+        return { ...this.create(Array.from(directories), connectionFiles), parseErrors };
+    }
+
+    // directories: module paths including the root folder
+    // connectionFiles: Map of directory path -> parsed connections.json
+    static create(directories, connectionFiles) {
+        const root = PathResolver.getRoot(directories[0] || '');
+        const modules = new Set(directories.map(path => this.toRelative(path, root)));
+        const connections = new Map(); // relative module path -> [{ conn, targetKey }]
+
+        connectionFiles.forEach((connectionData, dirPath) => {
+            if (!connectionData || !Array.isArray(connectionData.connections)) return;
+
+            connections.set(this.toRelative(dirPath, root), connectionData.connections.map(conn => {
+                const resolved = PathResolver.resolve(dirPath, conn.target, root);
+                return {
+                    conn: conn,
+                    // Unresolvable targets are compared as written
+                    targetKey: resolved !== null ? this.toRelative(resolved, root) : `?${conn.target}`
+                };
+            }));
+        });
+
+        return { root, modules, connections };
+    }
+
+    static toRelative(path, root) {
+        return path === root ? '' : path.slice(root.length + 1);
+    }
+
+    // Returns {
+    //   modules: Map of relative path -> 'added' | 'removed' | 'changed',
+    //   changes: [{ status, modulePath, targetKey, before, after, fields: [{ field, before, after }] }]
+    // }
+    // modulePath and targetKey are relative, before/after are the connection objects.
+    static compare(before, after) {
+        const modules = new Map();
+        const changes = [];
+
+        after.modules.forEach(path => {
+            if (!before.modules.has(path)) modules.set(path, 'added');
+        });
+        before.modules.forEach(path => {
+            if (!after.modules.has(path)) modules.set(path, 'removed');
+        });
+
+        const modulePaths = new Set([...before.connections.keys(), ...after.connections.keys()]);
+        modulePaths.forEach(modulePath => {
+            const beforeEntries = before.connections.get(modulePath) || [];
+            const afterEntries = after.connections.get(modulePath) || [];
+            const targetKeys = new Set([...beforeEntries, ...afterEntries].map(entry => entry.targetKey));
+
+            targetKeys.forEach(targetKey => {
+                // Several links to the same target are paired by how much they agree
+                const result = ConsistencyChecker.matchDeclarations(
+                    beforeEntries.filter(entry => entry.targetKey === targetKey),
+                    afterEntries.filter(entry => entry.targetKey === targetKey)
+                );
+
+                result.pairs.forEach(([a, b]) => {
+                    const fields = this.compareFields(a.conn, b.conn);
+                    if (fields.length > 0) {
+                        changes.push({ status: 'changed', modulePath, targetKey, before: a.conn, after: b.conn, fields });
+                    }
+                });
+                result.unmatchedA.forEach(entry => {
+                    changes.push({ status: 'removed', modulePath, targetKey, before: entry.conn, after: null, fields: [] });
+                });
+                result.unmatchedB.forEach(entry => {
+                    changes.push({ status: 'added', modulePath, targetKey, before: null, after: entry.conn, fields: [] });
+                });
+            });
+        });
+
+        // Modules that exist in both versions but whose links changed
+        changes.forEach(change => {
+            if (!modules.has(change.modulePath)) modules.set(change.modulePath, 'changed');
+        });
+
+        changes.sort((a, b) =>
+            a.modulePath.localeCompare(b.modulePath) ||
+            a.targetKey.localeCompare(b.targetKey) ||
+            a.status.localeCompare(b.status)
+        );
+
+        return { modules, changes };
+    }
+
+    static compareFields(a, b) {
+        const fields = [];
+
+        this.COMPARED_FIELDS.forEach(field => {
+            const same = field === 'signals' ?
+                ConsistencyChecker.sameSignals(a, b) :
+                a[field] === b[field];
+            if (!same) {
+                fields.push({ field, before: a[field], after: b[field] });
+            }
+        });
+
+        return fields;
+    }
+
+    // "+MOSI −CS" for signals, "old → new" for the other fields
+    static describeField(fieldChange) {
+        if (fieldChange.field !== 'signals') {
+            const format = (value) => value === undefined ? '(none)' : String(value);
+            return `${format(fieldChange.before)} → ${format(fieldChange.after)}`;
+        }
+
+        const beforeSignals = Array.isArray(fieldChange.before) ? fieldChange.before : [];
+        const afterSignals = Array.isArray(fieldChange.after) ? fieldChange.after : [];
+        const added = afterSignals.filter(signal => !beforeSignals.includes(signal)).map(signal => `+${signal}`);
+        const removed = beforeSignals.filter(signal => !afterSignals.includes(signal)).map(signal => `−${signal}`);
+        return [...added, ...removed].join(' ');
+    }
+}
@@ -0,0 +1,800 @@
+#!/usr/bin/env node
+// Command line tool for PCB projects: creates project folders, adds modules and
+// connections, validates with the viewer's own schema code and generates a whole
+// project from a spec file.
+//
+//   node tools/pcb-cli.js init <project-dir>
+//   node tools/pcb-cli.js add-module <project-dir> <module-path> [--type board|subsystem|ic|connector|sensor|power_stage]
+//   node tools/pcb-cli.js add-connection <project-dir> <module-path> --target <target> --type <type>
+//       --interface <interface> --signals <a,b,c> [--description <text>] [--direction in|out|bidirectional]
+//       [--connector <J1|module#J1>] [--both]
+//   node tools/pcb-cli.js validate <project-dir>
+//   node tools/pcb-cli.js erc <project-dir> [--report <report.csv>]
+//   node tools/pcb-cli.js generate <spec.json|spec.yaml> <output-dir> [--force]
+//   node tools/pcb-cli.js manifest <project-dir> [--check]
+//
+// A project with a manifest can be opened from a static server, e.g. run
+// "python3 -m http.server 8000" in the repository and open
+// http://localhost:8000/?project=Delta_Robot/manifest.json
+//
+// Module paths are relative to the project folder, "." is the project folder itself.
+// Targets follow connections.json: bare paths from the project folder, ./ and ../
+// from the declaring module.
+const fs = require('fs');
+const path = require('path');
+
+// The viewer classes are plain browser scripts that refer to each other as globals.
+// The ones used here end with an "if (typeof module !== 'undefined')" export for Node.
+global.PathResolver = require('../path-resolver.js');
+global.ModuleTypes = require('../module-types.js');
+global.Pinout = require('../pinout.js');
+global.ModuleMetadata = require('../module-metadata.js');
+global.NetTracer = require('../net-tracer.js');
+global.PowerTree = require('../power-tree.js');
+global.PowerBudget = require('../power-budget.js');
+global.CsvWriter = require('../csv-writer.js');
+const ConnectionSchema = require('../connection-schema.js');
+const ConsistencyChecker = require('../consistency-checker.js');
+const RuleChecker = require('../rule-checker.js');
+const ElectricalRules = require('../electrical-rules.js');
+const LayoutStore = require('../layout-store.js');
+const RemoteProject = require('../remote-project.js');
+
+const CONNECTIONS_FILE = 'connections.json';
+
+const COMMANDS = {
+    'init': init,
+    'add-module': addModule,
+    'add-connection': addConnection,
+    'validate': validate,
+    'erc': erc,
+    'generate': generate,
+    'manifest': manifest
+};
+
+// Options that take no value, every other option needs one
+const FLAGS = ['both', 'force', 'check', 'help'];
+
+// The other end of an "out" link sees it coming in
+const OPPOSITE_DIRECTIONS = { in: 'out', out: 'in', bidirectional: 'bidirectional' };
+
+function main(argv) {
+    try {
+        const { positional, options } = parseArguments(argv);
+        const command = COMMANDS[positional[0]];
+
+        if (!command || options.help) {
+            printUsage();
+            return positional[0] && !options.help ? 1 : 0;
+        }
+
+        return command(positional.slice(1), options) || 0;
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        return 1;
+    }
+}
+
+// "--name value" pairs become options, FLAGS become true
+function parseArguments(argv) {
+    const positional = [];
+    const options = {};
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) {
+            positional.push(arg);
+            continue;
+        }
+
+        const name = arg.slice(2);
+        if (FLAGS.includes(name)) {
+            options[name] = true;
+            continue;
+        }
+
+        const next = argv[i + 1];
+        if (next === undefined || next.startsWith('--')) {
+            throw new Error(`--${name} needs a value`);
+        }
+        options[name] = next;
+        i++;
+    }
+
+    return { positional, options };
+}
+
+function printUsage() {
+    console.log([
+        'Usage: node tools/pcb-cli.js <command> [arguments]',
+        '',
+        '  init <project-dir>                          Create a project folder with an empty connections.json',
+        '  add-module <project-dir> <module-path>      Create a module folder inside the project',
+        `      [--type ${Object.keys(ModuleTypes.TYPES).join('|')}]  declare the module type in module.json`,
+        '  add-connection <project-dir> <module-path>  Declare a connection in a module',
+        '      --target <target> --type <type> --interface <interface> --signals <a,b,c>',
+        '      [--description <text>] [--direction in|out|bidirectional]',
+        '      [--connector <J1|module#J1>]  the connector the link runs through',
+        '      [--both]  also declare it in the target module, as the viewer expects',
+        '  validate <project-dir>                      Check every connections.json and module.json like the viewer does',
+        `  erc <project-dir> [--report <file.csv>]     Run the electrical rules, configured in the project's ${RuleChecker.FILE_NAME}`,
+        '  generate <spec> <output-dir> [--force]      Build a project folder from a JSON or YAML spec',
+        `  manifest <project-dir> [--check]            Write the ${RemoteProject.MANIFEST_FILE} for serving the project, or check it is up to date`
+    ].join('\n'));
+}
+
+function requireArguments(args, names) {
+    if (args.length < names.length) {
+        throw new Error(`Missing ${names.slice(args.length).map(name => `<${name}>`).join(' ')}`);
+    }
+}
+
+// COMMANDS
+function init(args) {
+    requireArguments(args, ['project-dir']);
+    const projectDir = path.resolve(args[0]);
+    const filePath = path.join(projectDir, CONNECTIONS_FILE);
+
+    if (fs.existsSync(filePath)) {
+        throw new Error(`${filePath} already exists`);
+    }
+
+    fs.mkdirSync(projectDir, { recursive: true });
+    writeConnections(projectDir, { connections: [] });
+    console.log(`Created project ${path.basename(projectDir)} in ${projectDir}`);
+}
+
+function addModule(args, options) {
+    requireArguments(args, ['project-dir', 'module-path']);
+    const project = readProject(args[0]);
+    const modulePath = toModulePath(project, args[1]);
+
+    if (project.directories.has(modulePath)) {
+        throw new Error(`Module ${modulePath} already exists`);
+    }
+    if (options.type !== undefined && !ModuleTypes.isType(options.type)) {
+        throw new Error(`--type must be one of ${Object.keys(ModuleTypes.TYPES).join(', ')}`);
+    }
+
+    // Folders only show up in the viewer through the files inside them
+    const moduleDir = toFileSystemPath(project, modulePath);
+    fs.mkdirSync(moduleDir, { recursive: true });
+    writeConnections(moduleDir, { connections: [] });
+    if (options.type) {
+        fs.writeFileSync(path.join(moduleDir, ModuleMetadata.FILE_NAME), JSON.stringify({ type: options.type }, null, 2) + '\n');
+    }
+    console.log(`Created module ${modulePath}` + (options.type ? ` (${ModuleTypes.getLabel(options.type)})` : ''));
+}
+
+function addConnection(args, options) {
+    requireArguments(args, ['project-dir', 'module-path']);
+    const project = readProject(args[0]);
+    const modulePath = toModulePath(project, args[1]);
+
+    if (!project.directories.has(modulePath)) {
+        throw new Error(`Module ${modulePath} does not exist, create it with add-module first`);
+    }
+
+    const conn = {
+        target: typeof options.target === 'string' ? options.target : '',
+        type: typeof options.type === 'string' ? options.type : '',
+        interface: typeof options.interface === 'string' ? options.interface : '',
+        signals: typeof options.signals === 'string' ? splitSignals(options.signals) : [],
+        description: typeof options.description === 'string' ? options.description : ''
+    };
+    if (options.direction !== undefined) {
+        conn.direction = options.direction;
+    }
+    if (options.connector !== undefined) {
+        conn.connector = options.connector;
+    }
+
+    const errors = ConnectionSchema.validateConnection(conn).filter(problem => problem.severity === 'error');
+    if (errors.length > 0) {
+        throw new Error(errors.map(problem => problem.message).join(', '));
+    }
+
+    const targetPath = PathResolver.resolve(modulePath, conn.target, project.name);
+    if (!targetPath || !project.directories.has(targetPath)) {
+        throw new Error(`Target "${conn.target}" does not resolve to an existing module`);
+    }
+    if (targetPath === modulePath) {
+        throw new Error(`Target "${conn.target}" points at the module itself`);
+    }
+
+    appendConnection(project, modulePath, conn);
+    console.log(`Added ${conn.type} link ${modulePath} -> ${targetPath}`);
+
+    if (options.both) {
+        const reverse = { ...conn, target: PathResolver.relative(targetPath, modulePath) };
+        if (conn.direction !== undefined) {
+            reverse.direction = OPPOSITE_DIRECTIONS[conn.direction];
+        }
+        if (conn.connector !== undefined) {
+            reverse.connector = reverseConnector(conn.connector, modulePath, targetPath, project.name);
+        }
+        appendConnection(project, targetPath, reverse);
+        console.log(`Added ${conn.type} link ${targetPath} -> ${modulePath}`);
+    }
+}
+
+// The other end names the same connector, seen from its own folder
+function reverseConnector(reference, modulePath, targetPath, rootPath) {
+    const { target, id } = Pinout.parseReference(reference);
+    const ownerPath = target === null ? modulePath : PathResolver.resolve(modulePath, target, rootPath);
+    if (!ownerPath || ownerPath === targetPath) return id;
+    return `${PathResolver.relative(targetPath, ownerPath)}${Pinout.REFERENCE_SEPARATOR}${id}`;
+}
+
+function erc(args, options) {
+    requireArguments(args, ['project-dir']);
+    const project = readProject(args[0]);
+    const resolvedTargets = resolveTargets(project);
+    const checker = createRuleChecker();
+
+    // A broken erc.json would silently fall back to the defaults
+    const ercFile = `${project.name}/${RuleChecker.FILE_NAME}`;
+    const configProblems = project.parseErrors
+        .filter(parseError => parseError.filePath === ercFile)
+        .map(parseError => ({ severity: 'error', filePath: ercFile, modulePath: project.name, index: null, field: null, message: `Invalid JSON: ${parseError.message}` }));
+    if (project.ercConfig) {
+        configProblems.push(...checker.validateConfig(project.ercConfig, ercFile));
+    }
+    configProblems.forEach(problem => console.log(formatProblem(problem)));
+    if (configProblems.some(problem => problem.severity === 'error')) {
+        console.log(`Fix ${RuleChecker.FILE_NAME} before running the rules.`);
+        return 1;
+    }
+
+    const result = checker.run({
+        connectionFiles: project.connectionFiles,
+        resolveTarget: conn => resolvedTargets.get(conn) || null,
+        metadataFiles: project.metadataFiles
+    }, project.ercConfig);
+
+    result.violations.forEach(violation => {
+        // Rules that fail report for the whole project
+        const location = violation.modulePath === null ?
+            project.name :
+            (violation.index === null ? violation.modulePath : `${violation.modulePath}/${CONNECTIONS_FILE} #${violation.index}`);
+        console.log(`${violation.severity.padEnd(7)} [${violation.rule}] ${location}: ${violation.message}`);
+    });
+
+    if (typeof options.report === 'string') {
+        fs.writeFileSync(path.resolve(options.report), RuleChecker.toCsv(result.violations, project.connectionFiles));
+        console.log(`Report written to ${path.resolve(options.report)}`);
+    }
+
+    const errorCount = result.violations.filter(violation => violation.severity === 'error').length;
+    console.log(result.violations.length === 0 ?
+        'No electrical rule violations found.' :
+        `${errorCount} error(s), ${result.violations.length - errorCount} warning(s)`);
+
+    return errorCount > 0 ? 1 : 0;
+}
+
+function createRuleChecker() {
+    const checker = new RuleChecker();
+    ElectricalRules.createRules().forEach(rule => checker.register(rule));
+    return checker;
+}
+
+function validate(args) {
+    requireArguments(args, ['project-dir']);
+    const project = readProject(args[0]);
+    const problems = checkProject(project);
+
+    problems.forEach(problem => console.log(formatProblem(problem)));
+
+    const errorCount = problems.filter(problem => problem.severity === 'error').length;
+    console.log(problems.length === 0 ?
+        `${project.connectionFiles.size} file(s) checked, no problems found.` :
+        `${project.connectionFiles.size} file(s) checked, ${errorCount} error(s), ${problems.length - errorCount} warning(s)`);
+
+    return errorCount > 0 ? 1 : 0;
+}
+
+function generate(args, options) {
+    requireArguments(args, ['spec', 'output-dir']);
+    const spec = parseSpec(readSpec(args[0]));
+    const projectDir = path.resolve(args[1], spec.project);
+
+    if (fs.existsSync(projectDir) && !options.force) {
+        throw new Error(`${projectDir} already exists, use --force to overwrite its connections.json files`);
+    }
+
+    // Checked like a loaded project, problems are reported but don't stop the build
+    const project = { name: spec.project, dir: projectDir, directories: new Set([spec.project]), connectionFiles: new Map(), metadataFiles: new Map(), ercConfig: null, parseErrors: [] };
+    Object.keys(spec.modules).forEach(key => {
+        const modulePath = toModulePath(project, key);
+        PathResolver.split(modulePath).forEach((part, index, parts) => {
+            project.directories.add(parts.slice(0, index + 1).join('/'));
+        });
+        project.connectionFiles.set(modulePath, spec.modules[key]);
+    });
+
+    const problems = checkProject(project);
+    problems.forEach(problem => console.log(formatProblem(problem)));
+
+    Array.from(project.connectionFiles.keys()).sort().forEach(modulePath => {
+        const moduleDir = toFileSystemPath(project, modulePath);
+        fs.mkdirSync(moduleDir, { recursive: true });
+        writeConnections(moduleDir, project.connectionFiles.get(modulePath));
+    });
+
+    const errorCount = problems.filter(problem => problem.severity === 'error').length;
+    console.log(`Generated ${spec.project} with ${project.connectionFiles.size} module(s) in ${projectDir}` +
+        (errorCount > 0 ? `, ${errorCount} error(s) listed above` : ''));
+
+    return errorCount > 0 ? 1 : 0;
+}
+
+// Lists the files the viewer reads, so the project loads from a static server
+function manifest(args, options) {
+    requireArguments(args, ['project-dir']);
+    const project = readProject(args[0]);
+    const manifestPath = path.join(project.dir, RemoteProject.MANIFEST_FILE);
+    const expected = RemoteProject.createManifest(project.name, listProjectFiles(project.dir));
+
+    if (!options.check) {
+        fs.writeFileSync(manifestPath, JSON.stringify(expected, null, 2) + '\n');
+        console.log(`Wrote ${manifestPath} with ${expected.files.length} file(s)`);
+        return 0;
+    }
+
+    if (!fs.existsSync(manifestPath)) {
+        console.log(`${manifestPath} is missing, create it with the manifest command`);
+        return 1;
+    }
+
+    let files;
+    try {
+        files = RemoteProject.parseManifest(JSON.parse(stripBom(fs.readFileSync(manifestPath, 'utf8')))).files;
+    } catch (error) {
+        throw new Error(`${manifestPath}: ${error.message}`);
+    }
+
+    const missing = expected.files.filter(file => !files.includes(file));
+    const stale = files.filter(file => !expected.files.includes(file));
+    missing.forEach(file => console.log(`missing ${file}`));
+    stale.forEach(file => console.log(`stale   ${file}`));
+
+    if (missing.length > 0 || stale.length > 0) {
+        console.log(`${RemoteProject.MANIFEST_FILE} is out of date, run the manifest command without --check`);
+        return 1;
+    }
+    console.log(`${RemoteProject.MANIFEST_FILE} lists all ${files.length} project file(s).`);
+    return 0;
+}
+
+// Project-relative paths of the connections.json and module.json files, plus the
+// erc.json and layout.json of the project folder
+function listProjectFiles(dir) {
+    const files = [];
+    const moduleFiles = [CONNECTIONS_FILE, ModuleMetadata.FILE_NAME];
+    const projectFiles = [RuleChecker.FILE_NAME, LayoutStore.FILE_NAME];
+
+    const walk = (fsDir, relative) => {
+        fs.readdirSync(fsDir, { withFileTypes: true }).forEach(entry => {
+            if (entry.name.startsWith('.')) return;
+
+            const relativePath = relative ? `${relative}/${entry.name}` : entry.name;
+            if (entry.isDirectory()) {
+                walk(path.join(fsDir, entry.name), relativePath);
+            } else if (moduleFiles.includes(entry.name) || (!relative && projectFiles.includes(entry.name))) {
+                files.push(relativePath);
+            }
+        });
+    };
+    walk(dir, '');
+
+    return files.sort();
+}
+
+// SPECS
+// { project: "<folder name>", modules: { "<module path>": [connections] } }
+// A module may also be given as a whole connections.json, to declare "connectors".
+function readSpec(specFile) {
+    const text = stripBom(fs.readFileSync(specFile, 'utf8'));
+
+    if (!/\.ya?ml$/i.test(specFile)) {
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            throw new Error(`${specFile} is not valid JSON: ${error.message}`);
+        }
+    }
+
+    try {
+        return parseYaml(text);
+    } catch (error) {
+        throw new Error(`${specFile} is not valid YAML: ${error.message}`);
+    }
+}
+
+function parseSpec(spec) {
+    if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+        throw new Error('The spec must be an object with "project" and "modules"');
+    }
+    if (typeof spec.project !== 'string' || !spec.project || PathResolver.split(spec.project).length !== 1) {
+        throw new Error('The spec needs a "project" folder name');
+    }
+    if (!spec.modules || typeof spec.modules !== 'object' || Array.isArray(spec.modules)) {
+        throw new Error('The spec needs a "modules" object of module path -> connections');
+    }
+
+    // Modules without links can be left empty
+    Object.keys(spec.modules).forEach(key => {
+        const value = spec.modules[key] === null ? [] : spec.modules[key];
+        const connectionData = Array.isArray(value) ? { connections: value } : value;
+        if (!connectionData || typeof connectionData !== 'object' || !Array.isArray(connectionData.connections)) {
+            throw new Error(`Module "${key}" must list its connections`);
+        }
+        spec.modules[key] = connectionData;
+    });
+
+    return spec;
+}
+
+// SPEC YAML
+// Enough YAML for spec files, so no packages are needed: block maps and lists,
+// [a, b] and {a: b} of scalars, quoted and plain scalars and # comments.
+// Anchors, tags and multi-line strings are not supported.
+function parseYaml(text) {
+    const lines = [];
+    text.split(/\r?\n/).forEach((raw, index) => {
+        const content = stripYamlComment(raw).trimEnd();
+        if (!content.trim() || (lines.length === 0 && content === '---')) {
+            return;
+        }
+        const indent = content.length - content.trimStart().length;
+        if (content.slice(0, indent).includes('\t')) {
+            throw new Error(`line ${index + 1}: indent with spaces, not tabs`);
+        }
+        lines.push({ indent, text: content.trim(), number: index + 1 });
+    });
+
+    if (lines.length === 0) {
+        return null;
+    }
+
+    const state = { lines, next: 0 };
+    const value = parseYamlBlock(state, lines[0].indent);
+    if (state.next < lines.length) {
+        throw new Error(`line ${lines[state.next].number}: unexpected indentation`);
+    }
+    return value;
+}
+
+function parseYamlBlock(state, indent) {
+    return isYamlListItem(state.lines[state.next].text) ?
+        parseYamlList(state, indent) :
+        parseYamlMap(state, indent);
+}
+
+function parseYamlList(state, indent) {
+    const list = [];
+    while (state.next < state.lines.length && state.lines[state.next].indent === indent &&
+        isYamlListItem(state.lines[state.next].text)) {
+        const line = state.lines[state.next];
+        const rest = line.text.slice(1).trimStart();
+
+        if (!rest) {
+            state.next++;
+            list.push(parseYamlNested(state, indent, line));
+        } else if (isYamlListItem(rest) || findYamlKeyEnd(rest) !== -1) {
+            // "- key: value" starts a map indented like its first key, "- - x" a list
+            line.indent += line.text.length - rest.length;
+            line.text = rest;
+            list.push(parseYamlBlock(state, line.indent));
+        } else {
+            state.next++;
+            list.push(parseYamlScalar(rest, line.number));
+        }
+    }
+    return list;
+}
+
+function parseYamlMap(state, indent) {
+    const map = {};
+    while (state.next < state.lines.length && state.lines[state.next].indent === indent) {
+        const line = state.lines[state.next];
+        const keyEnd = findYamlKeyEnd(line.text);
+        if (keyEnd === -1 || isYamlListItem(line.text)) {
+            throw new Error(`line ${line.number}: expected "key: value"`);
+        }
+
+        const key = parseYamlScalar(line.text.slice(0, keyEnd).trim(), line.number);
+        if (Object.prototype.hasOwnProperty.call(map, key)) {
+            throw new Error(`line ${line.number}: duplicate key "${key}"`);
+        }
+
+        const rest = line.text.slice(keyEnd + 1).trim();
+        state.next++;
+        map[key] = rest ? parseYamlScalar(rest, line.number) : parseYamlNested(state, indent, line);
+    }
+    return map;
+}
+
+// The block below a "key:" or "-" line, lists may sit at the same indent as their key
+function parseYamlNested(state, indent, line) {
+    const next = state.lines[state.next];
+    if (next && (next.indent > indent || (next.indent === indent && isYamlListItem(next.text) && !isYamlListItem(line.text)))) {
+        return parseYamlBlock(state, next.indent);
+    }
+    return null;
+}
+
+function parseYamlScalar(text, lineNumber) {
+    const fail = message => { throw new Error(`line ${lineNumber}: ${message}`); };
+
+    if (/^[&*!|>%@`]/.test(text)) {
+        fail(`"${text}" uses YAML features that spec files don't support`);
+    }
+    if (text.startsWith('[') || text.startsWith('{')) {
+        const close = text.startsWith('[') ? ']' : '}';
+        if (!text.endsWith(close)) {
+            fail(`missing "${close}"`);
+        }
+        const items = splitYamlFlow(text.slice(1, -1), lineNumber);
+        if (close === ']') {
+            return items.map(item => parseYamlScalar(item, lineNumber));
+        }
+        const map = {};
+        items.forEach(item => {
+            const keyEnd = findYamlKeyEnd(item);
+            if (keyEnd === -1) {
+                fail(`expected "key: value" in "${text}"`);
+            }
+            map[parseYamlScalar(item.slice(0, keyEnd).trim(), lineNumber)] = parseYamlScalar(item.slice(keyEnd + 1).trim() || 'null', lineNumber);
+        });
+        return map;
+    }
+    if (text.startsWith('"')) {
+        if (text.length < 2 || !text.endsWith('"')) {
+            fail('unterminated string');
+        }
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            fail(`bad string ${text}`);
+        }
+    }
+    if (text.startsWith('\'')) {
+        if (text.length < 2 || !text.endsWith('\'')) {
+            fail('unterminated string');
+        }
+        return text.slice(1, -1).replace(/''/g, '\'');
+    }
+
+    if (/^(null|Null|NULL|~)$/.test(text)) {
+        return null;
+    }
+    if (/^(true|True|TRUE)$/.test(text)) {
+        return true;
+    }
+    if (/^(false|False|FALSE)$/.test(text)) {
+        return false;
+    }
+    if (/^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(text)) {
+        return Number(text);
+    }
+    return text;
+}
+
+// Comma separated flow items, commas inside quotes don't count
+function splitYamlFlow(text, lineNumber) {
+    const items = [];
+    let start = 0;
+    let quote = null;
+    for (let i = 0; i <= text.length; i++) {
+        const char = text[i];
+        if (quote) {
+            if (char === quote) {
+                quote = null;
+            }
+        } else if ((char === '"' || char === '\'') && opensYamlQuote(text, i)) {
+            quote = char;
+        } else if (char === '[' || char === '{') {
+            throw new Error(`line ${lineNumber}: nested [ ] and { } are not supported, use indented blocks`);
+        } else if (char === ',' || i === text.length) {
+            items.push(text.slice(start, i).trim());
+            start = i + 1;
+        }
+    }
+    if (items.length === 1 && !items[0]) {
+        return [];
+    }
+    if (items.some(item => !item)) {
+        throw new Error(`line ${lineNumber}: empty item in "${text}"`);
+    }
+    return items;
+}
+
+// Position of the ":" ending a key, -1 if the text is not "key: value"
+function findYamlKeyEnd(text) {
+    let quote = null;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quote) {
+            if (char === quote) {
+                quote = null;
+            }
+        } else if ((char === '"' || char === '\'') && opensYamlQuote(text, i)) {
+            quote = char;
+        } else if (char === '[' || char === '{') {
+            return -1;
+        } else if (char === ':' && (i === text.length - 1 || text[i + 1] === ' ')) {
+            return i;
+        }
+    }
+    return -1;
+}
+
+// Quotes only count at the start of a scalar, "Motor's driver" is plain text
+function opensYamlQuote(text, index) {
+    return /(^|[:,[{-])\s*$/.test(text.slice(0, index));
+}
+
+function isYamlListItem(text) {
+    return text === '-' || text.startsWith('- ');
+}
+
+function stripYamlComment(line) {
+    let quote = null;
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quote) {
+            if (char === quote) {
+                quote = null;
+            }
+        } else if ((char === '"' || char === '\'') && opensYamlQuote(line, i)) {
+            quote = char;
+        } else if (char === '#' && (i === 0 || /\s/.test(line[i - 1]))) {
+            return line.slice(0, i);
+        }
+    }
+    return line;
+}
+
+// PROJECT FILES
+// Reads a project folder into the same shapes the viewer works with:
+// directory paths start with the project folder name, like folder picks do.
+function readProject(projectArg) {
+    const dir = path.resolve(projectArg);
+    if (!fs.existsSync(path.join(dir, CONNECTIONS_FILE))) {
+        throw new Error(`${dir} has no ${CONNECTIONS_FILE}, create the project with init first`);
+    }
+
+    const project = { name: path.basename(dir), dir, directories: new Set(), connectionFiles: new Map(), metadataFiles: new Map(), ercConfig: null, parseErrors: [] };
+
+    const walk = (fsDir, modulePath) => {
+        let hasFiles = false;
+
+        fs.readdirSync(fsDir, { withFileTypes: true }).forEach(entry => {
+            // Hidden folders like .git are not part of the project
+            if (entry.name.startsWith('.')) return;
+
+            const entryPath = path.join(fsDir, entry.name);
+            if (entry.isDirectory()) {
+                hasFiles = walk(entryPath, `${modulePath}/${entry.name}`) || hasFiles;
+                return;
+            }
+
+            hasFiles = true;
+            const files = { [CONNECTIONS_FILE]: project.connectionFiles, [ModuleMetadata.FILE_NAME]: project.metadataFiles };
+            if (!files[entry.name]) return;
+
+            try {
+                files[entry.name].set(modulePath, JSON.parse(stripBom(fs.readFileSync(entryPath, 'utf8'))));
+            } catch (error) {
+                project.parseErrors.push({ filePath: `${modulePath}/${entry.name}`, message: error.message });
+            }
+        });
+
+        // Empty folders are invisible in the viewer, so they are no valid targets either
+        if (hasFiles) {
+            project.directories.add(modulePath);
+        }
+        return hasFiles;
+    };
+    walk(dir, project.name);
+
+    const ercPath = path.join(dir, RuleChecker.FILE_NAME);
+    if (fs.existsSync(ercPath)) {
+        try {
+            project.ercConfig = JSON.parse(stripBom(fs.readFileSync(ercPath, 'utf8')));
+        } catch (error) {
+            project.parseErrors.push({ filePath: `${project.name}/${RuleChecker.FILE_NAME}`, message: error.message });
+        }
+    }
+
+    return project;
+}
+
+// Resolved up front, the checkers only see the connection objects
+function resolveTargets(project) {
+    const resolvedTargets = new Map();
+    project.connectionFiles.forEach((data, dirPath) => {
+        if (!data || !Array.isArray(data.connections)) return;
+        data.connections.forEach(conn => {
+            const resolved = conn ? PathResolver.resolve(dirPath, conn.target, project.name) : null;
+            if (resolved && project.directories.has(resolved)) {
+                resolvedTargets.set(conn, resolved);
+            }
+        });
+    });
+    return resolvedTargets;
+}
+
+// Same checks as the viewer's problems panel
+function checkProject(project) {
+    const problems = ConnectionSchema.validateProject(project.connectionFiles, project.parseErrors, project.directories);
+    const resolvedTargets = resolveTargets(project);
+
+    const consistency = ConsistencyChecker.check(project.connectionFiles, conn => resolvedTargets.get(conn) || null);
+
+    project.metadataFiles.forEach((data, dirPath) => {
+        problems.push(...ModuleMetadata.validate(data, `${dirPath}/${ModuleMetadata.FILE_NAME}`));
+    });
+    if (project.ercConfig) {
+        problems.push(...createRuleChecker().validateConfig(project.ercConfig, `${project.name}/${RuleChecker.FILE_NAME}`));
+    }
+    consistency.findings.forEach(finding => {
+        problems.push({
+            severity: finding.severity,
+            filePath: `${finding.modulePath}/${CONNECTIONS_FILE}`,
+            modulePath: finding.modulePath,
+            index: finding.index,
+            field: finding.field,
+            message: finding.message
+        });
+    });
+
+    return ConnectionSchema.sortProblems(problems);
+}
+
+function formatProblem(problem) {
+    const location = problem.index === null ? problem.filePath : `${problem.filePath} #${problem.index}`;
+    return `${problem.severity.padEnd(7)} ${location}: ${problem.message}`;
+}
+
+// Module arguments are relative to the project folder, "." is the folder itself
+function toModulePath(project, moduleArg) {
+    const relative = PathResolver.normalize(moduleArg.replace(/\\/g, '/'));
+    if (relative === null) {
+        throw new Error(`Module path "${moduleArg}" leaves the project folder`);
+    }
+
+    return relative ? `${project.name}/${relative}` : project.name;
+}
+
+function toFileSystemPath(project, modulePath) {
+    return path.join(project.dir, ...PathResolver.split(modulePath).slice(1));
+}
+
+function appendConnection(project, modulePath, conn) {
+    const data = project.connectionFiles.get(modulePath) || { connections: [] };
+    if (!Array.isArray(data.connections)) {
+        throw new Error(`${modulePath}/${CONNECTIONS_FILE} has no "connections" array`);
+    }
+
+    data.connections.push(conn);
+    project.connectionFiles.set(modulePath, data);
+    writeConnections(toFileSystemPath(project, modulePath), data);
+}
+
+function writeConnections(dir, data) {
+    fs.writeFileSync(path.join(dir, CONNECTIONS_FILE), ConnectionSchema.serialize(data));
+}
+
+// Files saved by some Windows editors start with a byte order mark
+function stripBom(text) {
+    return text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+}
+
+function splitSignals(value) {
+    return value.split(',').map(signal => signal.trim()).filter(Boolean);
+}
+
+process.exitCode = main(process.argv.slice(2));